@@ -1,6 +1,18 @@
 const axios = require("axios");
+const { decode: decodeMessagePack } = require("@msgpack/msgpack");
 
 const BASE_URL = "http://localhost:3000/api/v1";
+const WS_URL = "ws://localhost:3001";
+// Second realtime node sharing the first one's pub/sub broker.
+const WS_URL_NODE_B = "ws://localhost:3002";
+
+// Must match the server's resume grace period: peers only see user-left after it.
+const RESUME_GRACE_PERIOD_MS = 5000;
+
+const AVATAR_IMAGE_URL =
+  "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQm3RFDZM21teuCMFYx_AROjt-AzUwDBROFww&s";
+const ELEMENT_IMAGE_URL =
+  "https://encrypted-tbn0.gstatic.com/shopping?q=tbn:ANd9GcRCRca3wAR4zjPPTzeIY9rSwbbqB6bB2hVkoTXN4eerXOIkJTG1GpZ9ZqSGYafQPToWy_JTcmV5RHXsAsWQC3tKnMlH_CsibsSZ5oJtbakq&usqp=CAE";
 
 const createRandomUsername = (prefix = "user") => `${prefix}_${Math.random().toString(36).substring(2, 15)}`;
 const defaultPassword = "password@123";
@@ -18,6 +30,124 @@ const createAvatar = async (token, imageUrl, name) =>
     { headers: { Authorization: `Bearer ${token}` } }
   );
 
+const createElement = async (token, imageUrl, width, height, isStatic) =>
+  axios.post(
+    `${BASE_URL}/admin/element`,
+    { imageUrl, width, height, static: isStatic },
+    { headers: { Authorization: `Bearer ${token}` } }
+  );
+
+// Creates a 1x1 element with a behaviour kind such as "spawn", "portal" or "door".
+const createKindElement = async (token, kind, isStatic) =>
+  axios.post(
+    `${BASE_URL}/admin/element`,
+    { imageUrl: ELEMENT_IMAGE_URL, width: 1, height: 1, static: isStatic, kind },
+    { headers: { Authorization: `Bearer ${token}` } }
+  );
+
+const createMap = async (token, thumbnail, dimensions, name, defaultElements) =>
+  axios.post(
+    `${BASE_URL}/admin/map`,
+    { thumbnail, dimensions, name, defaultElements },
+    { headers: { Authorization: `Bearer ${token}` } }
+  );
+
+const createSpace = async (token, name, dimensions, mapId) =>
+  axios.post(
+    `${BASE_URL}/space`,
+    { name, dimensions, mapId },
+    { headers: { Authorization: `Bearer ${token}` } }
+  );
+
+const getSpace = async (token, spaceId) =>
+  axios.get(`${BASE_URL}/space/${spaceId}`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+
+const addSpaceElement = async (token, spaceId, elementId, x, y) =>
+  axios.post(
+    `${BASE_URL}/space/element`,
+    { spaceId, elementId, x, y },
+    { headers: { Authorization: `Bearer ${token}` } }
+  );
+
+const deleteSpaceElement = async (token, id) =>
+  axios.delete(`${BASE_URL}/space/element`, {
+    data: { id },
+    headers: { Authorization: `Bearer ${token}` },
+  });
+
+// Signs up a fresh account and returns its credentials and token.
+const signupAndLogin = async (prefix, role) => {
+  const username = createRandomUsername(prefix);
+  await signupUser(username, defaultPassword, role);
+  const response = await loginUser(username, defaultPassword);
+  return { username, token: response.data.token, userId: response.data.userId };
+};
+
+// Opens a socket that pushes every parsed message onto `messages`. With `binary`,
+// MessagePack frames are decoded too and tagged with `binary: true`.
+const connectSocket = async (messages, url = WS_URL, { binary = false } = {}) => {
+  const ws = new WebSocket(url);
+  if (binary) {
+    ws.binaryType = "arraybuffer";
+  }
+  ws.onmessage = (event) =>
+    messages.push(
+      typeof event.data === "string"
+        ? JSON.parse(event.data)
+        : { binary: true, ...decodeMessagePack(new Uint8Array(event.data)) }
+    );
+  await new Promise((resolve) => {
+    ws.onopen = resolve;
+  });
+  return ws;
+};
+
+const sendMessage = (ws, type, payload) => ws.send(JSON.stringify({ type, payload }));
+
+const waitForMessage = (messages) =>
+  new Promise((resolve) => {
+    if (messages.length > 0) {
+      resolve(messages.shift());
+      return;
+    }
+    const interval = setInterval(() => {
+      if (messages.length > 0) {
+        clearInterval(interval);
+        resolve(messages.shift());
+      }
+    }, 100);
+  });
+
+// Skips messages until one of the given type arrives.
+const waitForMessageOfType = async (messages, type) => {
+  let message = await waitForMessage(messages);
+  while (message.type !== type) {
+    message = await waitForMessage(messages);
+  }
+  return message;
+};
+
+// Movements are batched into one state-delta per tick. Skips deltas until one lists
+// `userId` and returns that user's entry.
+const waitForMovement = async (messages, userId) => {
+  let moved;
+  while (!moved) {
+    const delta = await waitForMessageOfType(messages, "state-delta");
+    moved = delta.payload.moved.find((m) => m.userId === userId);
+  }
+  return moved;
+};
+
+// Opens a socket, joins `spaceId` and waits for space-joined.
+const joinSpace = async (messages, spaceId, token) => {
+  const ws = await connectSocket(messages);
+  sendMessage(ws, "join", { spaceId, token });
+  const joined = await waitForMessageOfType(messages, "space-joined");
+  return { ws, joined };
+};
+
 describe("Authentication API", () => {
   test("User receives userId after successful signup", async () => {
     const username = createRandomUsername("user");
@@ -191,20 +321,6 @@ describe("Space information", () => {
   let userToken;
   let userId;
 
-  const createElement = async (token, imageUrl, width, height, isStatic) =>
-    axios.post(
-      `${BASE_URL}/admin/element`,
-      { imageUrl, width, height, static: isStatic },
-      { headers: { Authorization: `Bearer ${token}` } }
-    );
-
-  const createMap = async (token, thumbnail, dimensions, name, defaultElements) =>
-    axios.post(
-      `${BASE_URL}/admin/map`,
-      { thumbnail, dimensions, name, defaultElements },
-      { headers: { Authorization: `Bearer ${token}` } }
-    );
-
   beforeAll(async () => {
     const adminUsername = createRandomUsername("srai-admin");
     await signupUser(adminUsername, defaultPassword, "admin");
@@ -908,15 +1024,16 @@ describe("Websocket tests", () => {
           type: "move",
           payload: {
               x: adminX + 1,
-              y: adminY,
-              userId: adminId
+              y: adminY
           }
       }));
 
       const message = await waitForAndPopLatestMessage(ws2Messages);
-      expect(message.type).toBe("movement")
-      expect(message.payload.x).toBe(adminX + 1)
-      expect(message.payload.y).toBe(adminY)
+      expect(message.type).toBe("state-delta")
+      expect(message.payload.moved.length).toBe(1)
+      expect(message.payload.moved[0].userId).toBe(adminUserId)
+      expect(message.payload.moved[0].x).toBe(adminX + 1)
+      expect(message.payload.moved[0].y).toBe(adminY)
   })
 
   test("If a user leaves, the other user receives a leave event", async () => {
@@ -924,5 +1041,3121 @@ describe("Websocket tests", () => {
       const message = await waitForAndPopLatestMessage(ws2Messages);
       expect(message.type).toBe("user-left")
       expect(message.payload.userId).toBe(adminUserId)
-  })
-})
\ No newline at end of file
+  }, RESUME_GRACE_PERIOD_MS * 3)
+})
+
+describe("Collision with static elements", () => {
+  let adminToken;
+  let userToken;
+  let staticElementId;
+  let nonStaticElementId;
+  let mapId;
+  let spaceId;
+  let ws1;
+  let ws1Messages = [];
+  let userX;
+  let userY;
+
+  beforeAll(async () => {
+    ({ token: adminToken } = await signupAndLogin("srai-admin", "admin"));
+    ({ token: userToken } = await signupAndLogin("srai-user", "user"));
+
+    const staticResponse = await createElement(adminToken, ELEMENT_IMAGE_URL, 1, 1, true);
+    const nonStaticResponse = await createElement(adminToken, ELEMENT_IMAGE_URL, 1, 1, false);
+    staticElementId = staticResponse.data.id;
+    nonStaticElementId = nonStaticResponse.data.id;
+
+    // A 3x1 corridor walled off on both ends leaves exactly one free tile.
+    const mapResponse = await createMap(adminToken, "https://thumbnail.com/a.png", "3x1", "Corridor", [
+      { elementId: staticElementId, x: 0, y: 0 },
+      { elementId: staticElementId, x: 2, y: 0 },
+    ]);
+    mapId = mapResponse.data.id;
+
+    // Only the user joins the 2x1 hallway, so the other tile is always free.
+    const spaceResponse = await createSpace(userToken, "Hallway", "2x1");
+    spaceId = spaceResponse.data.spaceId;
+
+    ws1 = await connectSocket(ws1Messages);
+  });
+
+  afterAll(() => {
+    ws1.close();
+  });
+
+  // An accepted move has no reply, so follow it with an out-of-bounds move:
+  // the rejection reports where the user actually is.
+  const moveAndReportPosition = async (x, y) => {
+    sendMessage(ws1, "move", { x, y });
+    sendMessage(ws1, "move", { x: 5, y });
+    const rejected = await waitForMessageOfType(ws1Messages, "movement-rejected");
+    return rejected.payload;
+  };
+
+  test("Spawn is never placed on a static element", async () => {
+    const corridorResponse = await createSpace(userToken, "Corridor", "3x1", mapId);
+    const messages = [];
+    const ws = await connectSocket(messages);
+
+    sendMessage(ws, "join", { spaceId: corridorResponse.data.spaceId, token: userToken });
+    const message = await waitForMessage(messages);
+
+    expect(message.type).toBe("space-joined");
+    expect(message.payload.spawn.x).toBe(1);
+    expect(message.payload.spawn.y).toBe(0);
+
+    sendMessage(ws, "move", { x: 0, y: 0 });
+    const rejected = await waitForMessage(messages);
+    expect(rejected.type).toBe("movement-rejected");
+    expect(rejected.payload.x).toBe(1);
+
+    ws.close();
+  });
+
+  test("Static element added mid-session blocks its tile until deleted", async () => {
+    sendMessage(ws1, "join", { spaceId, token: userToken });
+    const joined = await waitForMessageOfType(ws1Messages, "space-joined");
+
+    const { x, y } = joined.payload.spawn;
+    const targetX = 1 - x;
+
+    await addSpaceElement(userToken, spaceId, staticElementId, targetX, y);
+    sendMessage(ws1, "move", { x: targetX, y });
+    const rejected = await waitForMessageOfType(ws1Messages, "movement-rejected");
+    expect(rejected.payload.x).toBe(x);
+    expect(rejected.payload.y).toBe(y);
+
+    const spaceResponse = await getSpace(userToken, spaceId);
+    const placed = spaceResponse.data.elements.find((e) => e.x === targetX && e.y === y);
+    await deleteSpaceElement(userToken, placed.id);
+
+    const position = await moveAndReportPosition(targetX, y);
+    expect(position.x).toBe(targetX);
+    expect(position.y).toBe(y);
+
+    userX = targetX;
+    userY = y;
+  });
+
+  test("Non-static elements do not block movement", async () => {
+    const targetX = 1 - userX;
+    await addSpaceElement(userToken, spaceId, nonStaticElementId, targetX, userY);
+
+    const position = await moveAndReportPosition(targetX, userY);
+    expect(position.x).toBe(targetX);
+    expect(position.y).toBe(userY);
+  });
+});
+
+describe("Proximity chat and signaling", () => {
+  let admin;
+  let user;
+  let farUser;
+  let nearSpaceId;
+  let farSpaceId;
+  let nearAdminWs;
+  let nearUserWs;
+  let farAdminWs;
+  let farUserWs;
+  let nearAdminMessages = [];
+  let nearUserMessages = [];
+  let farAdminMessages = [];
+  let farUserMessages = [];
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    user = await signupAndLogin("srai-user", "user");
+    // A separate account, so signaling targets in the far space are never ambiguous.
+    farUser = await signupAndLogin("srai-far-user", "user");
+
+    const wallResponse = await createElement(admin.token, ELEMENT_IMAGE_URL, 1, 1, true);
+
+    // Only the two end tiles of this 30x1 corridor are free, well outside any proximity radius.
+    const walls = Array.from({ length: 28 }, (_, i) => ({
+      elementId: wallResponse.data.id,
+      x: i + 1,
+      y: 0,
+    }));
+    const mapResponse = await createMap(admin.token, "https://thumbnail.com/a.png", "30x1", "Far apart", walls);
+
+    nearSpaceId = (await createSpace(user.token, "Near", "2x1")).data.spaceId;
+    farSpaceId = (await createSpace(user.token, "Far", "30x1", mapResponse.data.id)).data.spaceId;
+
+    ({ ws: nearAdminWs } = await joinSpace(nearAdminMessages, nearSpaceId, admin.token));
+    ({ ws: nearUserWs } = await joinSpace(nearUserMessages, nearSpaceId, user.token));
+    ({ ws: farAdminWs } = await joinSpace(farAdminMessages, farSpaceId, admin.token));
+    ({ ws: farUserWs } = await joinSpace(farUserMessages, farSpaceId, farUser.token));
+  });
+
+  afterAll(() => {
+    [nearAdminWs, nearUserWs, farAdminWs, farUserWs].forEach((ws) => ws.close());
+  });
+
+  test("Proximity chat reaches users within the radius", async () => {
+    sendMessage(nearAdminWs, "chat", { text: "hello neighbour", scope: "proximity" });
+
+    const message = await waitForMessageOfType(nearUserMessages, "chat");
+    expect(message.payload.text).toBe("hello neighbour");
+    expect(message.payload.scope).toBe("proximity");
+    expect(message.payload.userId).toBe(admin.userId);
+  });
+
+  test("Proximity chat does not reach users outside the radius, space chat does", async () => {
+    sendMessage(farAdminWs, "chat", { text: "anyone there?", scope: "proximity" });
+    sendMessage(farAdminWs, "chat", { text: "hello everyone", scope: "space" });
+
+    const message = await waitForMessageOfType(farUserMessages, "chat");
+    expect(message.payload.text).toBe("hello everyone");
+    expect(message.payload.scope).toBe("space");
+  });
+
+  test("Chat without text is rejected", async () => {
+    sendMessage(nearAdminWs, "chat", { scope: "space" });
+
+    const message = await waitForMessageOfType(nearAdminMessages, "error");
+    expect(message.payload.code).toBe("invalid-payload");
+    expect(message.payload.messageType).toBe("chat");
+  });
+
+  test("WebRTC offer, answer and ICE candidates are relayed between nearby users", async () => {
+    sendMessage(nearAdminWs, "rtc-offer", { targetUserId: user.userId, sdp: "offer-sdp" });
+    const offer = await waitForMessageOfType(nearUserMessages, "rtc-offer");
+    expect(offer.payload.fromUserId).toBe(admin.userId);
+    expect(offer.payload.sdp).toBe("offer-sdp");
+
+    sendMessage(nearUserWs, "rtc-answer", { targetUserId: admin.userId, sdp: "answer-sdp" });
+    const answer = await waitForMessageOfType(nearAdminMessages, "rtc-answer");
+    expect(answer.payload.fromUserId).toBe(user.userId);
+    expect(answer.payload.sdp).toBe("answer-sdp");
+
+    sendMessage(nearUserWs, "rtc-ice-candidate", { targetUserId: admin.userId, candidate: "candidate:1" });
+    const candidate = await waitForMessageOfType(nearAdminMessages, "rtc-ice-candidate");
+    expect(candidate.payload.fromUserId).toBe(user.userId);
+    expect(candidate.payload.candidate).toBe("candidate:1");
+  });
+
+  test("Signaling to a user outside proximity is rejected", async () => {
+    sendMessage(farAdminWs, "rtc-offer", { targetUserId: farUser.userId, sdp: "offer-sdp" });
+
+    const message = await waitForMessageOfType(farAdminMessages, "signal-rejected");
+    expect(message.payload.targetUserId).toBe(farUser.userId);
+    expect(message.payload.reason).toBe("out-of-range");
+  });
+});
+
+describe("Auth contract, refresh tokens and revocation", () => {
+  const refreshSession = async (refreshToken) =>
+    axios.post(`${BASE_URL}/auth/refresh`, { refreshToken });
+
+  const logout = async (token, refreshToken) =>
+    axios.post(
+      `${BASE_URL}/auth/logout`,
+      { refreshToken },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+
+  test("Legacy signup and signin routes still work but are flagged as deprecated", async () => {
+    const username = createRandomUsername("legacy");
+    const signupResponse = await axios.post(`${BASE_URL}/signup`, {
+      username,
+      password: defaultPassword,
+      type: "user",
+    });
+    expect(signupResponse.status).toBe(200);
+    expect(signupResponse.data.userId).toBeDefined();
+    expect(signupResponse.headers["deprecation"]).toBeDefined();
+
+    const signinResponse = await axios.post(`${BASE_URL}/signin`, {
+      username,
+      password: defaultPassword,
+    });
+    expect(signinResponse.status).toBe(200);
+    expect(signinResponse.data.token).toBeDefined();
+    expect(signinResponse.headers["deprecation"]).toBeDefined();
+  });
+
+  test("Canonical signup accepts the legacy `type` field and flags it", async () => {
+    const username = createRandomUsername("admin");
+    const response = await axios.post(`${BASE_URL}/auth/signup`, {
+      username,
+      password: defaultPassword,
+      type: "admin",
+    });
+    expect(response.status).toBe(200);
+    expect(response.headers["deprecation"]).toBeDefined();
+
+    const loginResponse = await loginUser(username, defaultPassword);
+    const elementResponse = await createElement(loginResponse.data.token, ELEMENT_IMAGE_URL, 1, 1, true);
+    expect(elementResponse.status).toBe(200);
+  });
+
+  test("Canonical signup with `role` is not flagged as deprecated", async () => {
+    const response = await signupUser(createRandomUsername("user"), defaultPassword, "user");
+    expect(response.status).toBe(200);
+    expect(response.headers["deprecation"]).toBeUndefined();
+  });
+
+  test("Signin returns a short-lived access token and a refresh token", async () => {
+    const username = createRandomUsername("user");
+    await signupUser(username, defaultPassword, "user");
+
+    const response = await loginUser(username, defaultPassword);
+    expect(response.data.token).toBeDefined();
+    expect(response.data.refreshToken).toBeDefined();
+    expect(response.data.expiresIn).toBeGreaterThan(0);
+  });
+
+  test("Refresh rotates the refresh token and rejects reuse of the old one", async () => {
+    const username = createRandomUsername("user");
+    await signupUser(username, defaultPassword, "user");
+    const loginResponse = await loginUser(username, defaultPassword);
+
+    const response = await refreshSession(loginResponse.data.refreshToken);
+    expect(response.status).toBe(200);
+    expect(response.data.token).toBeDefined();
+    expect(response.data.refreshToken).not.toBe(loginResponse.data.refreshToken);
+
+    const reuseResponse = await refreshSession(loginResponse.data.refreshToken);
+    expect(reuseResponse.status).toBe(403);
+  });
+
+  test("Logout revokes both the access token and the refresh token", async () => {
+    const username = createRandomUsername("user");
+    await signupUser(username, defaultPassword, "user");
+    const loginResponse = await loginUser(username, defaultPassword);
+    const { token, refreshToken } = loginResponse.data;
+
+    const logoutResponse = await logout(token, refreshToken);
+    expect(logoutResponse.status).toBe(200);
+
+    const metadataResponse = await axios.post(
+      `${BASE_URL}/user/metadata`,
+      { avatarId: "invalid-avatar-id" },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    expect(metadataResponse.status).toBe(403);
+
+    const refreshResponse = await refreshSession(refreshToken);
+    expect(refreshResponse.status).toBe(403);
+  });
+
+  test("A revoked token cannot join a space over the socket", async () => {
+    const user = await signupAndLogin("user", "user");
+    const spaceResponse = await createSpace(user.token, "Test", "100x200");
+
+    const username = createRandomUsername("user");
+    await signupUser(username, defaultPassword, "user");
+    const loginResponse = await loginUser(username, defaultPassword);
+    await logout(loginResponse.data.token, loginResponse.data.refreshToken);
+
+    const messages = [];
+    const ws = await connectSocket(messages);
+    sendMessage(ws, "join", { spaceId: spaceResponse.data.spaceId, token: loginResponse.data.token });
+
+    const message = await waitForMessage(messages);
+    expect(message.type).toBe("join-rejected");
+    expect(message.payload.reason).toBe("token-revoked");
+    ws.close();
+  });
+});
+
+describe("Space membership and invitations", () => {
+  let owner;
+  let editor;
+  let guest;
+  let outsider;
+  let elementId;
+  let spaceId;
+
+  const inviteUser = async (token, id, username, role) =>
+    axios.post(
+      `${BASE_URL}/space/${id}/invites`,
+      { username, role },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+
+  const createInviteLink = async (token, id, role, expiresIn) =>
+    axios.post(
+      `${BASE_URL}/space/${id}/invite-links`,
+      { role, expiresIn },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+
+  const acceptInviteLink = async (token, inviteToken) =>
+    axios.post(
+      `${BASE_URL}/space/invites/${inviteToken}/accept`,
+      {},
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+
+  beforeAll(async () => {
+    const admin = await signupAndLogin("srai-admin", "admin");
+    owner = await signupAndLogin("srai-owner", "user");
+    editor = await signupAndLogin("srai-editor", "user");
+    guest = await signupAndLogin("srai-guest", "user");
+    outsider = await signupAndLogin("srai-outsider", "user");
+
+    const elementResponse = await createElement(admin.token, ELEMENT_IMAGE_URL, 1, 1, true);
+    elementId = elementResponse.data.id;
+
+    const spaceResponse = await axios.post(
+      `${BASE_URL}/space`,
+      { name: "Team room", dimensions: "100x200", visibility: "private" },
+      { headers: { Authorization: `Bearer ${owner.token}` } }
+    );
+    spaceId = spaceResponse.data.spaceId;
+  });
+
+  test("Owner can invite users by username with a role", async () => {
+    const editorResponse = await inviteUser(owner.token, spaceId, editor.username, "editor");
+    const guestResponse = await inviteUser(owner.token, spaceId, guest.username, "guest");
+    expect(editorResponse.status).toBe(200);
+    expect(guestResponse.status).toBe(200);
+
+    const membersResponse = await axios.get(`${BASE_URL}/space/${spaceId}/members`, {
+      headers: { Authorization: `Bearer ${owner.token}` },
+    });
+    const roles = Object.fromEntries(membersResponse.data.members.map((m) => [m.userId, m.role]));
+    expect(roles[owner.userId]).toBe("owner");
+    expect(roles[editor.userId]).toBe("editor");
+    expect(roles[guest.userId]).toBe("guest");
+  });
+
+  test("Only the owner can invite or change roles", async () => {
+    const inviteResponse = await inviteUser(editor.token, spaceId, outsider.username, "guest");
+    expect(inviteResponse.status).toBe(403);
+
+    const roleResponse = await axios.put(
+      `${BASE_URL}/space/${spaceId}/members/${guest.userId}`,
+      { role: "editor" },
+      { headers: { Authorization: `Bearer ${editor.token}` } }
+    );
+    expect(roleResponse.status).toBe(403);
+  });
+
+  test("Non-members cannot read a private space", async () => {
+    const memberResponse = await getSpace(guest.token, spaceId);
+    expect(memberResponse.status).toBe(200);
+
+    const outsiderResponse = await getSpace(outsider.token, spaceId);
+    expect(outsiderResponse.status).toBe(403);
+  });
+
+  test("Editors can add and delete elements, guests cannot", async () => {
+    const guestResponse = await addSpaceElement(guest.token, spaceId, elementId, 10, 10);
+    expect(guestResponse.status).toBe(403);
+
+    const editorResponse = await addSpaceElement(editor.token, spaceId, elementId, 10, 10);
+    expect(editorResponse.status).toBe(200);
+
+    const spaceResponse = await getSpace(owner.token, spaceId);
+    const placed = spaceResponse.data.elements.find((e) => e.x === 10 && e.y === 10);
+
+    const guestDeleteResponse = await deleteSpaceElement(guest.token, placed.id);
+    expect(guestDeleteResponse.status).toBe(403);
+
+    const editorDeleteResponse = await deleteSpaceElement(editor.token, placed.id);
+    expect(editorDeleteResponse.status).toBe(200);
+  });
+
+  test("Owner can change a member's role", async () => {
+    const response = await axios.put(
+      `${BASE_URL}/space/${spaceId}/members/${guest.userId}`,
+      { role: "editor" },
+      { headers: { Authorization: `Bearer ${owner.token}` } }
+    );
+    expect(response.status).toBe(200);
+
+    const addResponse = await addSpaceElement(guest.token, spaceId, elementId, 11, 11);
+    expect(addResponse.status).toBe(200);
+  });
+
+  test("Invite links grant membership until they expire", async () => {
+    const linkResponse = await createInviteLink(owner.token, spaceId, "guest", 60);
+    expect(linkResponse.data.token).toBeDefined();
+    expect(linkResponse.data.expiresAt).toBeDefined();
+
+    const acceptResponse = await acceptInviteLink(outsider.token, linkResponse.data.token);
+    expect(acceptResponse.status).toBe(200);
+    expect(acceptResponse.data.spaceId).toBe(spaceId);
+    expect(acceptResponse.data.role).toBe("guest");
+
+    const expiringResponse = await createInviteLink(owner.token, spaceId, "guest", 1);
+    await new Promise((r) => setTimeout(r, 1500));
+
+    const lateUser = await signupAndLogin("srai-late", "user");
+    const lateResponse = await acceptInviteLink(lateUser.token, expiringResponse.data.token);
+    expect(lateResponse.status).toBe(400);
+  });
+
+  test("Non-members get join-rejected over the socket", async () => {
+    const stranger = await signupAndLogin("srai-stranger", "user");
+    const messages = [];
+    const ws = await connectSocket(messages);
+
+    sendMessage(ws, "join", { spaceId, token: stranger.token });
+    const message = await waitForMessage(messages);
+    expect(message.type).toBe("join-rejected");
+    expect(message.payload.reason).toBe("not-a-member");
+
+    sendMessage(ws, "join", { spaceId, token: guest.token });
+    const joined = await waitForMessage(messages);
+    expect(joined.type).toBe("space-joined");
+    ws.close();
+  });
+});
+
+describe("Interactive elements", () => {
+  let admin;
+  let user;
+  let spawnElementId;
+  let portalElementId;
+  let doorElementId;
+
+  const addPortal = async (token, spaceId, x, y, target) =>
+    axios.post(
+      `${BASE_URL}/space/element`,
+      { spaceId, elementId: portalElementId, x, y, properties: target },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+
+  const createCorridor = async (name, spawnX) => {
+    const response = await createSpace(user.token, name, "5x1");
+    await addSpaceElement(user.token, response.data.spaceId, spawnElementId, spawnX, 0);
+    return response.data.spaceId;
+  };
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    user = await signupAndLogin("srai-user", "user");
+
+    spawnElementId = (await createKindElement(admin.token, "spawn", false)).data.id;
+    portalElementId = (await createKindElement(admin.token, "portal", false)).data.id;
+    doorElementId = (await createKindElement(admin.token, "door", true)).data.id;
+  });
+
+  test("Element kind is validated on creation", async () => {
+    const response = await createKindElement(admin.token, "trampoline", false);
+    expect(response.status).toBe(400);
+  });
+
+  test("space-joined spawn respects spawn-point markers", async () => {
+    const response = await createSpace(user.token, "Lobby", "10x10");
+    await addSpaceElement(user.token, response.data.spaceId, spawnElementId, 4, 7);
+
+    const messages = [];
+    const ws = await connectSocket(messages);
+    sendMessage(ws, "join", { spaceId: response.data.spaceId, token: user.token });
+
+    const message = await waitForMessage(messages);
+    expect(message.payload.spawn.x).toBe(4);
+    expect(message.payload.spawn.y).toBe(7);
+    ws.close();
+  });
+
+  test("Stepping onto a portal teleports within the same space", async () => {
+    const spaceId = await createCorridor("Portal hall", 0);
+    await addPortal(user.token, spaceId, 1, 0, { targetX: 4, targetY: 0 });
+
+    const userMessages = [];
+    const adminMessages = [];
+    const userWs = await connectSocket(userMessages);
+    const adminWs = await connectSocket(adminMessages);
+    sendMessage(userWs, "join", { spaceId, token: user.token });
+    await waitForMessageOfType(userMessages, "space-joined");
+    sendMessage(adminWs, "join", { spaceId, token: admin.token });
+    await waitForMessageOfType(adminMessages, "space-joined");
+
+    sendMessage(userWs, "move", { x: 1, y: 0 });
+
+    const teleported = await waitForMessageOfType(userMessages, "teleported");
+    expect(teleported.payload.x).toBe(4);
+    expect(teleported.payload.y).toBe(0);
+
+    const movement = await waitForMovement(adminMessages, user.userId);
+    expect(movement.x).toBe(4);
+
+    userWs.close();
+    adminWs.close();
+  });
+
+  test("Stepping onto a portal to another space switches rooms server-side", async () => {
+    const destinationId = await createCorridor("Destination", 0);
+    const originId = await createCorridor("Origin", 0);
+    await addPortal(user.token, originId, 1, 0, { targetSpaceId: destinationId, targetX: 3, targetY: 0 });
+
+    const userMessages = [];
+    const adminMessages = [];
+    const userWs = await connectSocket(userMessages);
+    const adminWs = await connectSocket(adminMessages);
+    sendMessage(adminWs, "join", { spaceId: destinationId, token: admin.token });
+    await waitForMessageOfType(adminMessages, "space-joined");
+    sendMessage(userWs, "join", { spaceId: originId, token: user.token });
+    await waitForMessageOfType(userMessages, "space-joined");
+
+    sendMessage(userWs, "move", { x: 1, y: 0 });
+
+    const left = await waitForMessageOfType(userMessages, "space-left");
+    expect(left.payload.spaceId).toBe(originId);
+
+    const joined = await waitForMessageOfType(userMessages, "space-joined");
+    expect(joined.payload.spaceId).toBe(destinationId);
+    expect(joined.payload.spawn.x).toBe(3);
+    expect(joined.payload.spawn.y).toBe(0);
+
+    const userJoined = await waitForMessageOfType(adminMessages, "user-joined");
+    expect(userJoined.payload.userId).toBe(user.userId);
+    expect(userJoined.payload.x).toBe(3);
+
+    userWs.close();
+    adminWs.close();
+  });
+
+  test("Portals pointing at a missing space are rejected", async () => {
+    const spaceId = await createCorridor("Broken", 0);
+    const response = await addPortal(user.token, spaceId, 1, 0, {
+      targetSpaceId: "randomIdDoesntExist",
+      targetX: 0,
+      targetY: 0,
+    });
+    expect(response.status).toBe(400);
+  });
+
+  test("Doors block movement until toggled open", async () => {
+    const spaceId = await createCorridor("Door hall", 0);
+    await addSpaceElement(user.token, spaceId, doorElementId, 1, 0);
+    const spaceResponse = await getSpace(user.token, spaceId);
+    const door = spaceResponse.data.elements.find((e) => e.x === 1 && e.y === 0);
+
+    const messages = [];
+    const ws = await connectSocket(messages);
+    sendMessage(ws, "join", { spaceId, token: user.token });
+    await waitForMessageOfType(messages, "space-joined");
+
+    sendMessage(ws, "move", { x: 1, y: 0 });
+    const rejected = await waitForMessage(messages);
+    expect(rejected.type).toBe("movement-rejected");
+
+    sendMessage(ws, "interact", { id: door.id });
+    const toggled = await waitForMessageOfType(messages, "door-toggled");
+    expect(toggled.payload.id).toBe(door.id);
+    expect(toggled.payload.open).toBe(true);
+
+    sendMessage(ws, "move", { x: 1, y: 0 });
+    sendMessage(ws, "move", { x: 2, y: 0 });
+    sendMessage(ws, "move", { x: 5, y: 0 });
+    const next = await waitForMessage(messages);
+    expect(next.type).toBe("movement-rejected");
+    expect(next.payload.x).toBe(2);
+    ws.close();
+  });
+});
+
+describe("Tiled map import and export", () => {
+  let admin;
+  let user;
+  let deskId;
+  let plantId;
+
+  // 4x3 orthogonal map: a desk and a plant on a tile layer, one desk as a tile object
+  // (Tiled anchors tile objects at their bottom-left corner) and one collision tile.
+  const tiledMap = () => ({
+    width: 4,
+    height: 3,
+    tilewidth: 32,
+    tileheight: 32,
+    orientation: "orthogonal",
+    layers: [
+      { type: "tilelayer", name: "furniture", width: 4, height: 3, data: [0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0] },
+      { type: "objectgroup", name: "objects", objects: [{ id: 1, gid: 1, x: 0, y: 96, width: 32, height: 32 }] },
+      { type: "tilelayer", name: "collision", width: 4, height: 3, data: [0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0] },
+    ],
+    tilesets: [{ firstgid: 1, name: "office", tilecount: 2 }],
+  });
+
+  const tmxMap = `<?xml version="1.0" encoding="UTF-8"?>
+<map version="1.10" orientation="orthogonal" width="4" height="3" tilewidth="32" tileheight="32">
+ <tileset firstgid="1" name="office" tilecount="2"/>
+ <layer id="1" name="furniture" width="4" height="3">
+  <data encoding="csv">
+0,1,0,0,
+0,0,0,0,
+0,0,2,0
+</data>
+ </layer>
+ <layer id="2" name="collision" width="4" height="3">
+  <data encoding="csv">
+0,0,0,1,
+0,0,0,0,
+0,0,0,0
+</data>
+ </layer>
+</map>`;
+
+  // 2x1 map whose only content is a collision tile on the east half.
+  const collisionOnlyMap = () => ({
+    width: 2,
+    height: 1,
+    tilewidth: 32,
+    tileheight: 32,
+    orientation: "orthogonal",
+    layers: [{ type: "tilelayer", name: "collision", width: 2, height: 1, data: [0, 1] }],
+    tilesets: [{ firstgid: 1, name: "office", tilecount: 2 }],
+  });
+
+  const importMap = async (token, body) =>
+    axios.post(`${BASE_URL}/admin/map/import`, body, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    user = await signupAndLogin("srai-user", "user");
+
+    deskId = (await createElement(admin.token, ELEMENT_IMAGE_URL, 1, 1, true)).data.id;
+    plantId = (await createElement(admin.token, ELEMENT_IMAGE_URL, 1, 1, false)).data.id;
+  });
+
+  test("Admin can import a Tiled JSON map", async () => {
+    const response = await importMap(admin.token, {
+      name: "Imported office",
+      thumbnail: "https://thumbnail.com/a.png",
+      format: "json",
+      map: tiledMap(),
+      elementMapping: { 1: deskId, 2: plantId },
+    });
+    expect(response.status).toBe(200);
+    expect(response.data.id).toBeDefined();
+    expect(response.data.dimensions).toBe("4x3");
+    expect(response.data.collisionTiles).toBe(1);
+
+    const spaceResponse = await createSpace(user.token, "From Tiled", "4x3", response.data.id);
+    const space = await getSpace(user.token, spaceResponse.data.spaceId);
+    const positions = space.data.elements.map((e) => `${e.x},${e.y}`).sort();
+    expect(positions).toEqual(["0,2", "1,0", "2,2"]);
+  });
+
+  test("Admin can import a TMX map", async () => {
+    const response = await importMap(admin.token, {
+      name: "Imported TMX office",
+      thumbnail: "https://thumbnail.com/a.png",
+      format: "tmx",
+      map: tmxMap,
+      elementMapping: { 1: deskId, 2: plantId },
+    });
+    expect(response.status).toBe(200);
+    expect(response.data.dimensions).toBe("4x3");
+    expect(response.data.collisionTiles).toBe(1);
+
+    const spaceResponse = await createSpace(user.token, "From TMX", "4x3", response.data.id);
+    const space = await getSpace(user.token, spaceResponse.data.spaceId);
+    const positions = space.data.elements.map((e) => `${e.x},${e.y}`).sort();
+    expect(positions).toEqual(["1,0", "2,2"]);
+  });
+
+  test("Imported collision tiles block movement", async () => {
+    const response = await importMap(admin.token, {
+      name: "Half blocked",
+      thumbnail: "https://thumbnail.com/a.png",
+      format: "json",
+      map: collisionOnlyMap(),
+      elementMapping: {},
+    });
+    expect(response.data.collisionTiles).toBe(1);
+
+    const spaceResponse = await createSpace(user.token, "Half blocked", "2x1", response.data.id);
+    const messages = [];
+    const { ws, joined } = await joinSpace(messages, spaceResponse.data.spaceId, user.token);
+
+    // The collision tile is never a spawn, so the user starts on the west tile.
+    expect(joined.payload.spawn.x).toBe(0);
+
+    sendMessage(ws, "move", { x: 1, y: 0 });
+    const rejected = await waitForMessageOfType(messages, "movement-rejected");
+    expect(rejected.payload.x).toBe(0);
+    expect(rejected.payload.y).toBe(0);
+    ws.close();
+  });
+
+  test("Import fails when a tile gid has no element mapping", async () => {
+    const response = await importMap(admin.token, {
+      name: "Unmapped",
+      thumbnail: "https://thumbnail.com/a.png",
+      format: "json",
+      map: tiledMap(),
+      elementMapping: { 1: deskId },
+    });
+    expect(response.status).toBe(400);
+    expect(response.data.unmappedGids).toEqual([2]);
+  });
+
+  test("Users cannot import maps", async () => {
+    const response = await importMap(user.token, {
+      name: "Sneaky",
+      thumbnail: "https://thumbnail.com/a.png",
+      format: "json",
+      map: tiledMap(),
+      elementMapping: { 1: deskId, 2: plantId },
+    });
+    expect(response.status).toBe(403);
+  });
+
+  test("Exported maps round-trip through import", async () => {
+    const mapResponse = await createMap(admin.token, "https://thumbnail.com/a.png", "4x3", "Round trip", [
+      { elementId: deskId, x: 1, y: 0 },
+      { elementId: plantId, x: 2, y: 2 },
+    ]);
+
+    const exportResponse = await axios.get(`${BASE_URL}/admin/map/${mapResponse.data.id}/export?format=json`, {
+      headers: { Authorization: `Bearer ${admin.token}` },
+    });
+    expect(exportResponse.status).toBe(200);
+    expect(exportResponse.data.map.width).toBe(4);
+    expect(exportResponse.data.map.height).toBe(3);
+    expect(Object.values(exportResponse.data.elementMapping).sort()).toEqual([deskId, plantId].sort());
+
+    const importResponse = await importMap(admin.token, {
+      name: "Round trip copy",
+      thumbnail: "https://thumbnail.com/a.png",
+      format: "json",
+      map: exportResponse.data.map,
+      elementMapping: exportResponse.data.elementMapping,
+    });
+    expect(importResponse.status).toBe(200);
+
+    const spaceResponse = await createSpace(user.token, "Copy", "4x3", importResponse.data.id);
+    const space = await getSpace(user.token, spaceResponse.data.spaceId);
+    expect(space.data.elements.length).toBe(2);
+  });
+
+  test("Space owners can export their space as TMX", async () => {
+    const spaceResponse = await createSpace(user.token, "Export me", "4x3");
+    await addSpaceElement(user.token, spaceResponse.data.spaceId, deskId, 3, 2);
+
+    const response = await axios.get(`${BASE_URL}/space/${spaceResponse.data.spaceId}/export?format=tmx`, {
+      headers: { Authorization: `Bearer ${user.token}` },
+    });
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toContain("xml");
+    expect(response.data).toContain('width="4"');
+    expect(response.data).toContain('height="3"');
+  });
+});
+
+describe("Realtime rooms across server instances", () => {
+  let admin;
+  let user;
+  let spaceId;
+  let nodeAWs;
+  let nodeBWs;
+  let nodeAMessages = [];
+  let nodeBMessages = [];
+  let userX;
+  let userY;
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    user = await signupAndLogin("srai-user", "user");
+    spaceId = (await createSpace(user.token, "Shared", "100x200")).data.spaceId;
+
+    nodeAWs = await connectSocket(nodeAMessages, WS_URL);
+    nodeBWs = await connectSocket(nodeBMessages, WS_URL_NODE_B);
+  });
+
+  afterAll(() => {
+    nodeAWs.close();
+    nodeBWs.close();
+  });
+
+  test("Users on different nodes see each other join", async () => {
+    sendMessage(nodeAWs, "join", { spaceId, token: admin.token });
+    const adminJoined = await waitForMessage(nodeAMessages);
+    expect(adminJoined.type).toBe("space-joined");
+
+    sendMessage(nodeBWs, "join", { spaceId, token: user.token });
+    const userJoined = await waitForMessage(nodeBMessages);
+    expect(userJoined.type).toBe("space-joined");
+    expect(userJoined.payload.users.length).toBe(1);
+    expect(userJoined.payload.users[0].userId).toBe(admin.userId);
+
+    const message = await waitForMessage(nodeAMessages);
+    expect(message.type).toBe("user-joined");
+    expect(message.payload.userId).toBe(user.userId);
+
+    userX = userJoined.payload.spawn.x;
+    userY = userJoined.payload.spawn.y;
+  });
+
+  test("Movement on node B is broadcast to sockets on node A", async () => {
+    const targetX = userX > 0 ? userX - 1 : userX + 1;
+    sendMessage(nodeBWs, "move", { x: targetX, y: userY });
+
+    const movement = await waitForMovement(nodeAMessages, user.userId);
+    expect(movement.x).toBe(targetX);
+    expect(movement.y).toBe(userY);
+  });
+
+  test("Leaving on node A is broadcast to sockets on node B", async () => {
+    nodeAWs.close();
+
+    const message = await waitForMessageOfType(nodeBMessages, "user-left");
+    expect(message.payload.userId).toBe(admin.userId);
+  }, RESUME_GRACE_PERIOD_MS * 3);
+});
+
+describe("Session resume after a dropped socket", () => {
+  let admin;
+  let user;
+  let spaceId;
+  let adminWs;
+  let adminMessages = [];
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    user = await signupAndLogin("srai-user", "user");
+    spaceId = (await createSpace(user.token, "Flaky wifi", "100x200")).data.spaceId;
+
+    adminWs = await connectSocket(adminMessages);
+    sendMessage(adminWs, "join", { spaceId, token: admin.token });
+    await waitForMessageOfType(adminMessages, "space-joined");
+  });
+
+  afterAll(() => {
+    adminWs.close();
+  });
+
+  test("space-joined carries a resume token", async () => {
+    const messages = [];
+    const ws = await connectSocket(messages);
+    sendMessage(ws, "join", { spaceId, token: user.token });
+
+    const message = await waitForMessageOfType(messages, "space-joined");
+    expect(message.payload.resumeToken).toBeDefined();
+    ws.close();
+
+    await waitForMessageOfType(adminMessages, "user-left");
+  }, RESUME_GRACE_PERIOD_MS * 3);
+
+  test("Resuming within the grace period restores position without leave/join", async () => {
+    const messages = [];
+    const ws = await connectSocket(messages);
+    sendMessage(ws, "join", { spaceId, token: user.token });
+    const joined = await waitForMessageOfType(messages, "space-joined");
+    await waitForMessageOfType(adminMessages, "user-joined");
+
+    const { x, y } = joined.payload.spawn;
+    ws.close();
+
+    const resumedMessages = [];
+    const resumedWs = await connectSocket(resumedMessages);
+    sendMessage(resumedWs, "resume", { resumeToken: joined.payload.resumeToken });
+
+    const resumed = await waitForMessage(resumedMessages);
+    expect(resumed.type).toBe("space-joined");
+    expect(resumed.payload.resumed).toBe(true);
+    expect(resumed.payload.spawn.x).toBe(x);
+    expect(resumed.payload.spawn.y).toBe(y);
+
+    const targetX = x > 0 ? x - 1 : x + 1;
+    sendMessage(resumedWs, "move", { x: targetX, y });
+
+    // The first thing the peer hears about is the move, not a leave or a rejoin.
+    const message = await waitForMessage(adminMessages);
+    expect(message.type).toBe("state-delta");
+    expect(message.payload.moved.map((m) => m.userId)).toEqual([user.userId]);
+
+    resumedWs.close();
+    await waitForMessageOfType(adminMessages, "user-left");
+  }, RESUME_GRACE_PERIOD_MS * 3);
+
+  test("Peers get user-left only once the grace period expires", async () => {
+    const messages = [];
+    const ws = await connectSocket(messages);
+    sendMessage(ws, "join", { spaceId, token: user.token });
+    const joined = await waitForMessageOfType(messages, "space-joined");
+    await waitForMessageOfType(adminMessages, "user-joined");
+
+    const closedAt = Date.now();
+    ws.close();
+
+    const message = await waitForMessageOfType(adminMessages, "user-left");
+    expect(message.payload.userId).toBe(user.userId);
+    expect(Date.now() - closedAt).toBeGreaterThanOrEqual(RESUME_GRACE_PERIOD_MS);
+
+    const lateMessages = [];
+    const lateWs = await connectSocket(lateMessages);
+    sendMessage(lateWs, "resume", { resumeToken: joined.payload.resumeToken });
+
+    const rejected = await waitForMessage(lateMessages);
+    expect(rejected.type).toBe("resume-rejected");
+    lateWs.close();
+  }, RESUME_GRACE_PERIOD_MS * 3);
+
+  test("Unknown resume tokens are rejected", async () => {
+    const messages = [];
+    const ws = await connectSocket(messages);
+    sendMessage(ws, "resume", { resumeToken: "not-a-real-token" });
+
+    const message = await waitForMessage(messages);
+    expect(message.type).toBe("resume-rejected");
+    ws.close();
+  });
+});
+
+describe("Paginated listing endpoints", () => {
+  let admin;
+  let user;
+  let tag;
+
+  const list = async (token, path, params) =>
+    axios.get(`${BASE_URL}/${path}`, {
+      params,
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+  // Follows nextCursor until exhausted and returns every page's items.
+  const listAll = async (token, path, key, params) => {
+    const pages = [];
+    let cursor;
+    do {
+      const response = await list(token, path, { ...params, cursor });
+      pages.push(response.data[key]);
+      cursor = response.data.nextCursor;
+    } while (cursor);
+    return pages;
+  };
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    user = await signupAndLogin("srai-user", "user");
+    tag = Math.random().toString(36).substring(2, 10);
+
+    for (const name of ["alpha", "beta", "gamma"]) {
+      await createSpace(user.token, `${tag}-${name}`, "100x200");
+      await createAvatar(admin.token, AVATAR_IMAGE_URL, `${tag}-${name}`);
+      await createMap(admin.token, "https://thumbnail.com/a.png", "100x200", `${tag}-${name}`, []);
+      await createElement(admin.token, ELEMENT_IMAGE_URL, 1, 1, true);
+    }
+  });
+
+  test("Space listing is cursor paginated", async () => {
+    const firstPage = await list(user.token, "space/all", { limit: 2 });
+    expect(firstPage.data.spaces.length).toBe(2);
+    expect(firstPage.data.nextCursor).toBeDefined();
+
+    const secondPage = await list(user.token, "space/all", { limit: 2, cursor: firstPage.data.nextCursor });
+    expect(secondPage.data.spaces.length).toBe(1);
+    expect(secondPage.data.nextCursor).toBeNull();
+
+    const ids = [...firstPage.data.spaces, ...secondPage.data.spaces].map((x) => x.id);
+    expect(new Set(ids).size).toBe(3);
+  });
+
+  test("Space listing can be searched by name and sorted by creation date", async () => {
+    const ascending = await list(user.token, "space/all", { search: tag, sort: "createdAt:asc" });
+    expect(ascending.data.spaces.map((x) => x.name)).toEqual([`${tag}-alpha`, `${tag}-beta`, `${tag}-gamma`]);
+
+    const descending = await list(user.token, "space/all", { search: `${tag}-g`, sort: "createdAt:desc" });
+    expect(descending.data.spaces.map((x) => x.name)).toEqual([`${tag}-gamma`]);
+  });
+
+  test("Avatar listing supports search and pagination", async () => {
+    const pages = await listAll(user.token, "avatars", "avatars", { search: tag, limit: 2 });
+    expect(pages.map((page) => page.length)).toEqual([2, 1]);
+  });
+
+  test("Admins can list maps with the same contract", async () => {
+    const response = await list(admin.token, "admin/map", { search: tag, sort: "createdAt:desc", limit: 10 });
+    expect(response.status).toBe(200);
+    expect(response.data.maps.map((x) => x.name)).toEqual([`${tag}-gamma`, `${tag}-beta`, `${tag}-alpha`]);
+    expect(response.data.nextCursor).toBeNull();
+  });
+
+  test("Admins can page through elements", async () => {
+    const pages = await listAll(admin.token, "admin/element", "elements", { limit: 2, sort: "createdAt:desc" });
+    const elements = pages.flat();
+    expect(elements.length).toBeGreaterThanOrEqual(3);
+    expect(pages.slice(0, -1).every((page) => page.length === 2)).toBe(true);
+  });
+
+  test("Users cannot list admin maps or elements", async () => {
+    const mapsResponse = await list(user.token, "admin/map", {});
+    const elementsResponse = await list(user.token, "admin/element", {});
+    expect(mapsResponse.status).toBe(403);
+    expect(elementsResponse.status).toBe(403);
+  });
+
+  test("Invalid pagination parameters are rejected", async () => {
+    const limitResponse = await list(user.token, "space/all", { limit: 0 });
+    const sortResponse = await list(user.token, "space/all", { sort: "name:sideways" });
+    const cursorResponse = await list(user.token, "space/all", { cursor: "not-a-cursor" });
+    expect(limitResponse.status).toBe(400);
+    expect(sortResponse.status).toBe(400);
+    expect(cursorResponse.status).toBe(400);
+  });
+});
+
+describe("WebSocket message validation and rate limiting", () => {
+  let admin;
+  let user;
+  let spaceId;
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    user = await signupAndLogin("srai-user", "user");
+    spaceId = (await createSpace(user.token, "Strict", "100x200")).data.spaceId;
+  });
+
+  test("Malformed JSON gets a structured error", async () => {
+    const messages = [];
+    const ws = await connectSocket(messages);
+    ws.send("{not json");
+
+    const message = await waitForMessage(messages);
+    expect(message.type).toBe("error");
+    expect(message.payload.code).toBe("invalid-json");
+    ws.close();
+  });
+
+  test("Unknown message types get a structured error", async () => {
+    const messages = [];
+    const ws = await connectSocket(messages);
+    sendMessage(ws, "fly", { x: 1, y: 1 });
+
+    const message = await waitForMessage(messages);
+    expect(message.type).toBe("error");
+    expect(message.payload.code).toBe("unknown-type");
+    expect(message.payload.messageType).toBe("fly");
+    ws.close();
+  });
+
+  test("Payloads that fail the schema are rejected", async () => {
+    const messages = [];
+    const { ws } = await joinSpace(messages, spaceId, user.token);
+
+    sendMessage(ws, "move", { x: "10", y: 10 });
+    const message = await waitForMessage(messages);
+    expect(message.type).toBe("error");
+    expect(message.payload.code).toBe("invalid-payload");
+    expect(message.payload.messageType).toBe("move");
+    expect(message.payload.errors.length).not.toBe(0);
+    ws.close();
+  });
+
+  test("Moves cannot spoof another user's userId", async () => {
+    const messages = [];
+    const { ws } = await joinSpace(messages, spaceId, user.token);
+
+    sendMessage(ws, "move", { x: 1, y: 1, userId: admin.userId });
+    const message = await waitForMessage(messages);
+    expect(message.type).toBe("error");
+    expect(message.payload.code).toBe("invalid-payload");
+    ws.close();
+  });
+
+  test("Moves beyond the token bucket are rate limited", async () => {
+    const messages = [];
+    const { ws } = await joinSpace(messages, spaceId, user.token);
+
+    for (let i = 0; i < 30; i++) {
+      sendMessage(ws, "move", { x: 0, y: 0 });
+    }
+
+    const message = await waitForMessageOfType(messages, "error");
+    expect(message.payload.code).toBe("rate-limited");
+    expect(message.payload.messageType).toBe("move");
+    expect(message.payload.retryAfterMs).toBeGreaterThan(0);
+    ws.close();
+  });
+
+  test("Chats beyond the token bucket are rate limited", async () => {
+    const messages = [];
+    const { ws } = await joinSpace(messages, spaceId, user.token);
+
+    for (let i = 0; i < 30; i++) {
+      sendMessage(ws, "chat", { text: `spam ${i}`, scope: "space" });
+    }
+
+    const message = await waitForMessageOfType(messages, "error");
+    expect(message.payload.code).toBe("rate-limited");
+    expect(message.payload.messageType).toBe("chat");
+    ws.close();
+  });
+
+  test("Repeat offenders are disconnected and audited", async () => {
+    const offender = await signupAndLogin("srai-offender", "user");
+    const messages = [];
+    const { ws } = await joinSpace(messages, spaceId, offender.token);
+    const closed = new Promise((resolve) => {
+      ws.onclose = resolve;
+    });
+
+    sendMessage(ws, "move", { x: "0", y: 0 });
+    await waitForMessageOfType(messages, "error");
+
+    for (let i = 0; i < 500; i++) {
+      sendMessage(ws, "move", { x: 0, y: 0 });
+    }
+
+    const event = await closed;
+    expect(event.code).toBe(1008);
+
+    const response = await axios.get(`${BASE_URL}/admin/audit-log`, {
+      params: { userId: offender.userId },
+      headers: { Authorization: `Bearer ${admin.token}` },
+    });
+    const kinds = response.data.entries.map((entry) => entry.kind);
+    expect(kinds).toContain("rate-limited");
+    expect(kinds).toContain("disconnected");
+    expect(kinds).toContain("invalid-payload");
+  });
+
+  test("Users cannot read the audit log", async () => {
+    const response = await axios.get(`${BASE_URL}/admin/audit-log`, {
+      headers: { Authorization: `Bearer ${user.token}` },
+    });
+    expect(response.status).toBe(403);
+  });
+});
+
+describe("Space editing history", () => {
+  let admin;
+  let user;
+  let elementId;
+
+  const spacePost = async (token, spaceId, path, body = {}) =>
+    axios.post(`${BASE_URL}/space/${spaceId}/${path}`, body, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+  const spaceGet = async (token, spaceId, path, params) =>
+    axios.get(`${BASE_URL}/space/${spaceId}/${path}`, {
+      params,
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+  const elementPositions = async (spaceId) => {
+    const response = await getSpace(user.token, spaceId);
+    return response.data.elements.map((e) => `${e.x},${e.y}`).sort();
+  };
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    user = await signupAndLogin("srai-user", "user");
+    elementId = (await createElement(admin.token, ELEMENT_IMAGE_URL, 1, 1, true)).data.id;
+  });
+
+  test("Element additions and removals are recorded in the change log", async () => {
+    const spaceId = (await createSpace(user.token, "History", "100x200")).data.spaceId;
+    await addSpaceElement(user.token, spaceId, elementId, 5, 5);
+    const space = await getSpace(user.token, spaceId);
+    await deleteSpaceElement(user.token, space.data.elements[0].id);
+
+    const response = await spaceGet(user.token, spaceId, "history");
+    expect(response.data.changes.map((c) => c.action)).toEqual(["add", "remove"]);
+    expect(response.data.changes[0].userId).toBe(user.userId);
+    expect(response.data.changes[0].x).toBe(5);
+    expect(response.data.changes[0].y).toBe(5);
+    expect(response.data.changes[1].createdAt).toBeDefined();
+  });
+
+  test("Undo reverts the last change and redo reapplies it", async () => {
+    const spaceId = (await createSpace(user.token, "Undo", "100x200")).data.spaceId;
+    await addSpaceElement(user.token, spaceId, elementId, 5, 5);
+    const space = await getSpace(user.token, spaceId);
+    await deleteSpaceElement(user.token, space.data.elements[0].id);
+    expect(await elementPositions(spaceId)).toEqual([]);
+
+    const undoResponse = await spacePost(user.token, spaceId, "undo");
+    expect(undoResponse.status).toBe(200);
+    expect(await elementPositions(spaceId)).toEqual(["5,5"]);
+
+    const redoResponse = await spacePost(user.token, spaceId, "redo");
+    expect(redoResponse.status).toBe(200);
+    expect(await elementPositions(spaceId)).toEqual([]);
+
+    const history = await spaceGet(user.token, spaceId, "history");
+    expect(history.data.changes.map((c) => c.action)).toEqual(["add", "remove", "undo", "redo"]);
+  });
+
+  test("Undo or redo with nothing to apply returns a 400", async () => {
+    const spaceId = (await createSpace(user.token, "Empty", "100x200")).data.spaceId;
+    const undoResponse = await spacePost(user.token, spaceId, "undo");
+    const redoResponse = await spacePost(user.token, spaceId, "redo");
+    expect(undoResponse.status).toBe(400);
+    expect(redoResponse.status).toBe(400);
+  });
+
+  test("A new change clears the redo stack", async () => {
+    const spaceId = (await createSpace(user.token, "Branch", "100x200")).data.spaceId;
+    await addSpaceElement(user.token, spaceId, elementId, 1, 1);
+    await spacePost(user.token, spaceId, "undo");
+    await addSpaceElement(user.token, spaceId, elementId, 2, 2);
+
+    const redoResponse = await spacePost(user.token, spaceId, "redo");
+    expect(redoResponse.status).toBe(400);
+    expect(await elementPositions(spaceId)).toEqual(["2,2"]);
+  });
+
+  test("Named snapshots can be restored", async () => {
+    const spaceId = (await createSpace(user.token, "Snapshots", "100x200")).data.spaceId;
+    await addSpaceElement(user.token, spaceId, elementId, 1, 1);
+
+    const snapshotResponse = await spacePost(user.token, spaceId, "snapshots", { name: "before offsite reshuffle" });
+    expect(snapshotResponse.status).toBe(200);
+    const snapshotId = snapshotResponse.data.snapshotId;
+
+    await addSpaceElement(user.token, spaceId, elementId, 2, 2);
+    const space = await getSpace(user.token, spaceId);
+    await deleteSpaceElement(user.token, space.data.elements.find((e) => e.x === 1).id);
+    expect(await elementPositions(spaceId)).toEqual(["2,2"]);
+
+    const listResponse = await spaceGet(user.token, spaceId, "snapshots");
+    expect(listResponse.data.snapshots.map((s) => s.name)).toEqual(["before offsite reshuffle"]);
+
+    const restoreResponse = await spacePost(user.token, spaceId, `snapshots/${snapshotId}/restore`);
+    expect(restoreResponse.status).toBe(200);
+    expect(await elementPositions(spaceId)).toEqual(["1,1"]);
+
+    // Restoring is itself a change, so it can be undone.
+    await spacePost(user.token, spaceId, "undo");
+    expect(await elementPositions(spaceId)).toEqual(["2,2"]);
+  });
+
+  test("Diff lists added, removed and moved elements between snapshots", async () => {
+    const spaceId = (await createSpace(user.token, "Diff", "100x200")).data.spaceId;
+    await addSpaceElement(user.token, spaceId, elementId, 1, 1);
+    await addSpaceElement(user.token, spaceId, elementId, 5, 5);
+    const from = (await spacePost(user.token, spaceId, "snapshots", { name: "before" })).data.snapshotId;
+
+    await addSpaceElement(user.token, spaceId, elementId, 3, 3);
+    const space = await getSpace(user.token, spaceId);
+    await deleteSpaceElement(user.token, space.data.elements.find((e) => e.x === 1).id);
+
+    // Drag the element at 5,5 to 6,7; it keeps its placement id, so it counts as moved.
+    const movedId = space.data.elements.find((e) => e.x === 5).id;
+    const messages = [];
+    const { ws } = await joinSpace(messages, spaceId, user.token);
+    sendMessage(ws, "edit-mode", { enabled: true });
+    await waitForMessageOfType(messages, "edit-mode");
+    sendMessage(ws, "element-move", { requestId: "diff-move", id: movedId, x: 6, y: 7 });
+    await waitForMessageOfType(messages, "element-move-confirmed");
+    ws.close();
+
+    const to = (await spacePost(user.token, spaceId, "snapshots", { name: "after" })).data.snapshotId;
+
+    const response = await spaceGet(user.token, spaceId, "snapshots/diff", { from, to });
+    expect(response.status).toBe(200);
+    expect(response.data.added.map((e) => [e.x, e.y])).toEqual([[3, 3]]);
+    expect(response.data.removed.map((e) => [e.x, e.y])).toEqual([[1, 1]]);
+    expect(response.data.moved).toEqual([{ id: movedId, from: { x: 5, y: 5 }, to: { x: 6, y: 7 } }]);
+  });
+
+  test("Users without edit rights cannot rewrite history", async () => {
+    const spaceId = (await createSpace(user.token, "Mine", "100x200")).data.spaceId;
+    await addSpaceElement(user.token, spaceId, elementId, 1, 1);
+
+    const undoResponse = await spacePost(admin.token, spaceId, "undo");
+    const snapshotResponse = await spacePost(admin.token, spaceId, "snapshots", { name: "theirs" });
+    expect(undoResponse.status).toBe(403);
+    expect(snapshotResponse.status).toBe(403);
+  });
+});
+
+describe("Live layout editing", () => {
+  let admin;
+  let owner;
+  let visitor;
+  let elementId;
+  let spaceId;
+  let ownerWs;
+  let visitorWs;
+  let ownerMessages = [];
+  let visitorMessages = [];
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    owner = await signupAndLogin("srai-owner", "user");
+    visitor = await signupAndLogin("srai-visitor", "user");
+    elementId = (await createElement(admin.token, ELEMENT_IMAGE_URL, 1, 1, true)).data.id;
+    spaceId = (await createSpace(owner.token, "Whiteboard", "100x200")).data.spaceId;
+
+    ownerWs = await connectSocket(ownerMessages);
+    sendMessage(ownerWs, "join", { spaceId, token: owner.token });
+    await waitForMessageOfType(ownerMessages, "space-joined");
+
+    visitorWs = await connectSocket(visitorMessages);
+    sendMessage(visitorWs, "join", { spaceId, token: visitor.token });
+    await waitForMessageOfType(visitorMessages, "space-joined");
+  });
+
+  afterAll(() => {
+    ownerWs.close();
+    visitorWs.close();
+  });
+
+  test("Elements added over HTTP are pushed to the room", async () => {
+    await addSpaceElement(owner.token, spaceId, elementId, 30, 40);
+
+    const message = await waitForMessageOfType(visitorMessages, "element-added");
+    expect(message.payload.id).toBeDefined();
+    expect(message.payload.elementId).toBe(elementId);
+    expect(message.payload.x).toBe(30);
+    expect(message.payload.y).toBe(40);
+  });
+
+  test("Elements deleted over HTTP are pushed to the room", async () => {
+    const space = await getSpace(owner.token, spaceId);
+    const placed = space.data.elements.find((e) => e.x === 30 && e.y === 40);
+    await deleteSpaceElement(owner.token, placed.id);
+
+    const message = await waitForMessageOfType(visitorMessages, "element-removed");
+    expect(message.payload.id).toBe(placed.id);
+  });
+
+  test("Only editors can enter editing mode", async () => {
+    sendMessage(visitorWs, "edit-mode", { enabled: true });
+    const rejected = await waitForMessageOfType(visitorMessages, "edit-mode-rejected");
+    expect(rejected.payload.reason).toBeDefined();
+
+    sendMessage(ownerWs, "edit-mode", { enabled: true });
+    const accepted = await waitForMessageOfType(ownerMessages, "edit-mode");
+    expect(accepted.payload.enabled).toBe(true);
+  });
+
+  test("Element drags are confirmed to the editor and broadcast to everyone else", async () => {
+    await addSpaceElement(owner.token, spaceId, elementId, 10, 10);
+    const added = await waitForMessageOfType(ownerMessages, "element-added");
+    await waitForMessageOfType(visitorMessages, "element-added");
+
+    sendMessage(ownerWs, "element-move", { requestId: "drag-1", id: added.payload.id, x: 12, y: 11 });
+
+    const confirmed = await waitForMessageOfType(ownerMessages, "element-move-confirmed");
+    expect(confirmed.payload.requestId).toBe("drag-1");
+
+    const moved = await waitForMessageOfType(visitorMessages, "element-moved");
+    expect(moved.payload.id).toBe(added.payload.id);
+    expect(moved.payload.x).toBe(12);
+    expect(moved.payload.y).toBe(11);
+    expect(moved.payload.userId).toBe(owner.userId);
+
+    const space = await getSpace(owner.token, spaceId);
+    const placed = space.data.elements.find((e) => e.id === added.payload.id);
+    expect(placed.x).toBe(12);
+    expect(placed.y).toBe(11);
+  });
+
+  test("Invalid drags are rejected with the authoritative position", async () => {
+    const space = await getSpace(owner.token, spaceId);
+    const placed = space.data.elements.find((e) => e.x === 12 && e.y === 11);
+
+    sendMessage(ownerWs, "element-move", { requestId: "drag-2", id: placed.id, x: 10000, y: 10000 });
+
+    const rejected = await waitForMessageOfType(ownerMessages, "element-move-rejected");
+    expect(rejected.payload.requestId).toBe("drag-2");
+    expect(rejected.payload.id).toBe(placed.id);
+    expect(rejected.payload.x).toBe(12);
+    expect(rejected.payload.y).toBe(11);
+  });
+
+  test("Drags outside editing mode are rejected", async () => {
+    const space = await getSpace(owner.token, spaceId);
+    const placed = space.data.elements.find((e) => e.x === 12 && e.y === 11);
+
+    sendMessage(ownerWs, "edit-mode", { enabled: false });
+    const disabled = await waitForMessageOfType(ownerMessages, "edit-mode");
+    expect(disabled.payload.enabled).toBe(false);
+
+    sendMessage(ownerWs, "element-move", { requestId: "drag-3", id: placed.id, x: 13, y: 11 });
+
+    const rejected = await waitForMessageOfType(ownerMessages, "element-move-rejected");
+    expect(rejected.payload.requestId).toBe("drag-3");
+    expect(rejected.payload.reason).toBe("not-editing");
+    expect(rejected.payload.x).toBe(12);
+  });
+});
+
+describe("Element rotation, layers and footprints", () => {
+  let admin;
+  let user;
+  let sofaId;
+  let rugId;
+  let spaceId;
+
+  const placeElement = async (token, body) =>
+    axios.post(`${BASE_URL}/space/element`, { spaceId, ...body }, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    user = await signupAndLogin("srai-user", "user");
+    sofaId = (await createElement(admin.token, ELEMENT_IMAGE_URL, 3, 2, true)).data.id;
+    rugId = (await createElement(admin.token, ELEMENT_IMAGE_URL, 3, 3, false)).data.id;
+    spaceId = (await createSpace(user.token, "Lounge", "100x200")).data.spaceId;
+  });
+
+  test("Placed elements default to no rotation on the object layer", async () => {
+    const response = await placeElement(user.token, { elementId: sofaId, x: 0, y: 0 });
+    expect(response.status).toBe(200);
+
+    const space = await getSpace(user.token, spaceId);
+    const placed = space.data.elements.find((e) => e.x === 0 && e.y === 0);
+    expect(placed.rotation).toBe(0);
+    expect(placed.layer).toBe("object");
+  });
+
+  test("Rotation and layer are validated", async () => {
+    const rotationResponse = await placeElement(user.token, { elementId: sofaId, x: 50, y: 50, rotation: 45 });
+    const layerResponse = await placeElement(user.token, { elementId: sofaId, x: 50, y: 50, layer: "ceiling" });
+    expect(rotationResponse.status).toBe(400);
+    expect(layerResponse.status).toBe(400);
+  });
+
+  test("The full footprint must lie inside the space", async () => {
+    // A 3x2 sofa anchored at x=98 would cover x=98..100.
+    const response = await placeElement(user.token, { elementId: sofaId, x: 98, y: 10 });
+    expect(response.status).toBe(400);
+
+    // Rotated by 90 degrees it is 2 wide and fits.
+    const rotatedResponse = await placeElement(user.token, { elementId: sofaId, x: 98, y: 10, rotation: 90 });
+    expect(rotatedResponse.status).toBe(200);
+
+    // ...but now it is 3 tall and would hang off the bottom edge.
+    const bottomResponse = await placeElement(user.token, { elementId: sofaId, x: 50, y: 198, rotation: 270 });
+    expect(bottomResponse.status).toBe(400);
+  });
+
+  test("Overlapping static footprints are rejected with the conflicting element", async () => {
+    await placeElement(user.token, { elementId: sofaId, x: 20, y: 20 });
+    const space = await getSpace(user.token, spaceId);
+    const existing = space.data.elements.find((e) => e.x === 20 && e.y === 20);
+
+    // Covers x=22..24, overlapping the first sofa's x=22 column.
+    const response = await placeElement(user.token, { elementId: sofaId, x: 22, y: 21 });
+    expect(response.status).toBe(400);
+    expect(response.data.conflict.id).toBe(existing.id);
+
+    const adjacentResponse = await placeElement(user.token, { elementId: sofaId, x: 23, y: 21 });
+    expect(adjacentResponse.status).toBe(200);
+  });
+
+  test("Non-static elements may overlap static ones on another layer", async () => {
+    const response = await placeElement(user.token, { elementId: rugId, x: 20, y: 20, layer: "floor" });
+    expect(response.status).toBe(200);
+
+    const space = await getSpace(user.token, spaceId);
+    const rug = space.data.elements.find((e) => e.elementId === rugId);
+    expect(rug.layer).toBe("floor");
+  });
+
+  test("Map default elements are validated the same way", async () => {
+    const response = await createMap(admin.token, "https://thumbnail.com/a.png", "10x10", "Cramped", [
+      { elementId: sofaId, x: 0, y: 0 },
+      { elementId: sofaId, x: 1, y: 1 },
+    ]);
+    expect(response.status).toBe(400);
+    expect(response.data.conflict).toBeDefined();
+  });
+});
+
+describe("Asset uploads", () => {
+  // 1x1 transparent PNG.
+  const PNG_BYTES = Buffer.from(
+    "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+    "base64"
+  );
+  // Must match the server's upload size limit.
+  const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+  let admin;
+  let user;
+
+  const uploadAsset = async (token, kind, bytes, contentType, filename) => {
+    const form = new FormData();
+    form.append("kind", kind);
+    form.append("file", new Blob([bytes], { type: contentType }), filename);
+    return axios.post(`${BASE_URL}/admin/asset`, form, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+  };
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    user = await signupAndLogin("srai-user", "user");
+  });
+
+  test("Admin can upload an image and gets a content-hashed URL", async () => {
+    const response = await uploadAsset(admin.token, "avatar", PNG_BYTES, "image/png", "timmy.png");
+    expect(response.status).toBe(200);
+    expect(response.data.assetId).toBeDefined();
+    expect(response.data.contentType).toBe("image/png");
+    expect(response.data.size).toBe(PNG_BYTES.length);
+    expect(response.data.url).toContain(response.data.hash);
+    expect(response.data.thumbnailUrl).toBeDefined();
+  });
+
+  test("Uploading identical bytes returns the same URL", async () => {
+    const first = await uploadAsset(admin.token, "element", PNG_BYTES, "image/png", "a.png");
+    const second = await uploadAsset(admin.token, "element", PNG_BYTES, "image/png", "b.png");
+    expect(second.data.url).toBe(first.data.url);
+  });
+
+  test("Uploaded assets are served with immutable caching", async () => {
+    const upload = await uploadAsset(admin.token, "thumbnail", PNG_BYTES, "image/png", "map.png");
+
+    const response = await axios.get(upload.data.url, { responseType: "arraybuffer" });
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toBe("image/png");
+    expect(response.headers["cache-control"]).toContain("immutable");
+    expect(Buffer.from(response.data).equals(PNG_BYTES)).toBe(true);
+
+    const thumbnail = await axios.get(upload.data.thumbnailUrl, { responseType: "arraybuffer" });
+    expect(thumbnail.status).toBe(200);
+    expect(thumbnail.headers["content-type"]).toMatch(/^image\//);
+  });
+
+  test("Uploaded URLs can be used as imageUrl and thumbnail", async () => {
+    const upload = await uploadAsset(admin.token, "avatar", PNG_BYTES, "image/png", "timmy.png");
+
+    const avatarResponse = await createAvatar(admin.token, upload.data.url, "Uploaded Timmy");
+    const elementResponse = await createElement(admin.token, upload.data.url, 1, 1, true);
+    const mapResponse = await createMap(admin.token, upload.data.url, "100x200", "Uploaded thumbnail", []);
+    expect(avatarResponse.status).toBe(200);
+    expect(elementResponse.status).toBe(200);
+    expect(mapResponse.status).toBe(200);
+  });
+
+  test("Files that are not images are rejected", async () => {
+    // The declared type is a lie; the bytes are sniffed.
+    const response = await uploadAsset(admin.token, "avatar", Buffer.from("#!/bin/sh\n"), "image/png", "evil.png");
+    expect(response.status).toBe(415);
+  });
+
+  test("Oversized files are rejected", async () => {
+    const bytes = Buffer.concat([PNG_BYTES, Buffer.alloc(MAX_UPLOAD_BYTES)]);
+    const response = await uploadAsset(admin.token, "avatar", bytes, "image/png", "huge.png");
+    expect(response.status).toBe(413);
+  });
+
+  test("Unknown asset kinds are rejected", async () => {
+    const response = await uploadAsset(admin.token, "wallpaper", PNG_BYTES, "image/png", "a.png");
+    expect(response.status).toBe(400);
+  });
+
+  test("Users cannot upload assets", async () => {
+    const response = await uploadAsset(user.token, "avatar", PNG_BYTES, "image/png", "timmy.png");
+    expect(response.status).toBe(403);
+  });
+});
+
+describe("Animated avatars and user states", () => {
+  let admin;
+  let user;
+  let spaceId;
+  let adminWs;
+  let userWs;
+  let adminMessages = [];
+  let userMessages = [];
+  let userX;
+  let userY;
+
+  const DIRECTIONS = ["up", "down", "left", "right"];
+
+  const spriteSheet = (directions = DIRECTIONS) => ({
+    imageUrl: AVATAR_IMAGE_URL,
+    frameWidth: 32,
+    frameHeight: 48,
+    animations: Object.fromEntries(
+      directions.flatMap((direction, row) => [
+        [`idle-${direction}`, { row, frames: 1 }],
+        [`walk-${direction}`, { row: row + directions.length, frames: 4, fps: 8 }],
+      ])
+    ),
+  });
+
+  const createSpriteAvatar = async (token, name, sheet) =>
+    axios.post(
+      `${BASE_URL}/admin/avatar`,
+      { imageUrl: AVATAR_IMAGE_URL, name, spriteSheet: sheet },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    user = await signupAndLogin("srai-user", "user");
+    spaceId = (await createSpace(user.token, "Animated", "100x200")).data.spaceId;
+  });
+
+  afterAll(() => {
+    adminWs?.close();
+    userWs?.close();
+  });
+
+  test("Admin can create an avatar from a directional sprite sheet", async () => {
+    const name = `Sprite_${Math.random().toString(36).substring(2, 10)}`;
+    const response = await createSpriteAvatar(admin.token, name, spriteSheet());
+    expect(response.status).toBe(200);
+
+    const avatars = await axios.get(`${BASE_URL}/avatars`, {
+      headers: { Authorization: `Bearer ${user.token}` },
+    });
+    const avatar = avatars.data.avatars.find((x) => x.id == response.data.avatarId);
+    expect(avatar.spriteSheet.frameWidth).toBe(32);
+    expect(avatar.spriteSheet.animations["walk-left"].frames).toBe(4);
+  });
+
+  test("Sprite sheets must cover idle and walk in all four directions", async () => {
+    const response = await createSpriteAvatar(admin.token, "Lopsided", spriteSheet(["up", "down"]));
+    expect(response.status).toBe(400);
+  });
+
+  test("space-joined lists each user's facing direction, animation and status", async () => {
+    adminWs = await connectSocket(adminMessages);
+    sendMessage(adminWs, "join", { spaceId, token: admin.token });
+    await waitForMessageOfType(adminMessages, "space-joined");
+
+    userWs = await connectSocket(userMessages);
+    sendMessage(userWs, "join", { spaceId, token: user.token });
+    const joined = await waitForMessageOfType(userMessages, "space-joined");
+    await waitForMessageOfType(adminMessages, "user-joined");
+
+    expect(joined.payload.users[0].direction).toBe("down");
+    expect(joined.payload.users[0].animation).toBe("idle");
+    expect(joined.payload.users[0].status).toBeNull();
+
+    userX = joined.payload.spawn.x;
+    userY = joined.payload.spawn.y;
+  });
+
+  test("Movement broadcasts carry direction and the walk animation", async () => {
+    const direction = userX > 0 ? "left" : "right";
+    const targetX = direction === "left" ? userX - 1 : userX + 1;
+    sendMessage(userWs, "move", { x: targetX, y: userY });
+
+    const movement = await waitForMovement(adminMessages, user.userId);
+    expect(movement.direction).toBe(direction);
+    expect(movement.animation).toBe("walk");
+  });
+
+  test("Users can set a status that is broadcast and listed on join", async () => {
+    sendMessage(userWs, "status", { status: "busy" });
+
+    const message = await waitForMessageOfType(adminMessages, "status");
+    expect(message.payload.userId).toBe(user.userId);
+    expect(message.payload.status).toBe("busy");
+    expect(message.payload.animation).toBeUndefined();
+
+    const lateMessages = [];
+    const lateWs = await connectSocket(lateMessages);
+    const late = await signupAndLogin("srai-late", "user");
+    sendMessage(lateWs, "join", { spaceId, token: late.token });
+    const joined = await waitForMessageOfType(lateMessages, "space-joined");
+    const listed = joined.payload.users.find((x) => x.userId === user.userId);
+    expect(listed.status).toBe("busy");
+    lateWs.close();
+  });
+
+  test("Unknown statuses are rejected", async () => {
+    sendMessage(userWs, "status", { status: "flying" });
+
+    const message = await waitForMessageOfType(userMessages, "error");
+    expect(message.payload.code).toBe("invalid-payload");
+    expect(message.payload.messageType).toBe("status");
+  });
+});
+
+describe("Space cloning and templates", () => {
+  let admin;
+  let owner;
+  let other;
+  let elementId;
+  let spaceId;
+  let tag;
+
+  const cloneSpace = async (token, id, name) =>
+    axios.post(
+      `${BASE_URL}/space/${id}/clone`,
+      { name },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+
+  const publishSpace = async (token, id, body) =>
+    axios.post(`${BASE_URL}/space/${id}/publish`, body, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+  const browseTemplates = async (token, params) =>
+    axios.get(`${BASE_URL}/templates`, {
+      params,
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    owner = await signupAndLogin("srai-owner", "user");
+    other = await signupAndLogin("srai-other", "user");
+    tag = `tag-${Math.random().toString(36).substring(2, 10)}`;
+
+    elementId = (await createElement(admin.token, ELEMENT_IMAGE_URL, 1, 1, true)).data.id;
+    spaceId = (await createSpace(owner.token, "Original", "30x40")).data.spaceId;
+    await addSpaceElement(owner.token, spaceId, elementId, 1, 2);
+    await addSpaceElement(owner.token, spaceId, elementId, 3, 4);
+  });
+
+  test("Cloning copies dimensions and placed elements into a new space", async () => {
+    const response = await cloneSpace(other.token, spaceId, "My copy");
+    expect(response.status).toBe(200);
+    expect(response.data.spaceId).not.toBe(spaceId);
+
+    const clone = await getSpace(other.token, response.data.spaceId);
+    expect(clone.data.dimensions).toBe("30x40");
+    expect(clone.data.elements.map((e) => `${e.x},${e.y}`).sort()).toEqual(["1,2", "3,4"]);
+
+    // The clone belongs to whoever cloned it and is independent of the original.
+    const deleteResponse = await deleteSpaceElement(other.token, clone.data.elements[0].id);
+    expect(deleteResponse.status).toBe(200);
+    const original = await getSpace(owner.token, spaceId);
+    expect(original.data.elements.length).toBe(2);
+  });
+
+  test("Cloning a space that doesn't exist returns a 400", async () => {
+    const response = await cloneSpace(other.token, "randomIdDoesntExist", "Nope");
+    expect(response.status).toBe(400);
+  });
+
+  test("Only the owner can publish a space as a template", async () => {
+    const response = await publishSpace(other.token, spaceId, {
+      name: "Stolen",
+      thumbnail: "https://thumbnail.com/a.png",
+      tags: [tag],
+      visibility: "public",
+    });
+    expect(response.status).toBe(403);
+  });
+
+  test("Published templates are browsable and usable as mapId", async () => {
+    const publishResponse = await publishSpace(owner.token, spaceId, {
+      name: "Cosy office",
+      thumbnail: "https://thumbnail.com/a.png",
+      tags: [tag, "office"],
+      visibility: "public",
+    });
+    expect(publishResponse.status).toBe(200);
+    const mapId = publishResponse.data.mapId;
+
+    const browseResponse = await browseTemplates(other.token, { tag });
+    expect(browseResponse.data.templates.length).toBe(1);
+    const template = browseResponse.data.templates[0];
+    expect(template.id).toBe(mapId);
+    expect(template.name).toBe("Cosy office");
+    expect(template.tags).toContain("office");
+    expect(template.ownerId).toBe(owner.userId);
+
+    const spaceResponse = await createSpace(other.token, "From template", "30x40", mapId);
+    const space = await getSpace(other.token, spaceResponse.data.spaceId);
+    expect(space.data.elements.length).toBe(2);
+  });
+
+  test("Unlisted templates are hidden from browse but usable by id", async () => {
+    const publishResponse = await publishSpace(owner.token, spaceId, {
+      name: "Secret office",
+      thumbnail: "https://thumbnail.com/a.png",
+      tags: [`${tag}-unlisted`],
+      visibility: "unlisted",
+    });
+
+    const browseResponse = await browseTemplates(other.token, { tag: `${tag}-unlisted` });
+    expect(browseResponse.data.templates.length).toBe(0);
+
+    const spaceResponse = await createSpace(other.token, "From link", "30x40", publishResponse.data.mapId);
+    expect(spaceResponse.data.spaceId).toBeDefined();
+  });
+
+  test("Publishing validates visibility", async () => {
+    const response = await publishSpace(owner.token, spaceId, {
+      name: "Odd",
+      thumbnail: "https://thumbnail.com/a.png",
+      tags: [],
+      visibility: "everyone",
+    });
+    expect(response.status).toBe(400);
+  });
+});
+
+describe("Walk-to pathfinding and follow mode", () => {
+  let admin;
+  let user;
+  let mazeSpaceId;
+  let openSpaceId;
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    user = await signupAndLogin("srai-user", "user");
+
+    const wallId = (await createElement(admin.token, ELEMENT_IMAGE_URL, 1, 1, true)).data.id;
+    const spawnResponse = await createKindElement(admin.token, "spawn", false);
+
+    // 5x3 room split by a wall at x=2 with a gap at the bottom:
+    //   S . # . .
+    //   . . # . .
+    //   . . . . .
+    const mapResponse = await createMap(admin.token, "https://thumbnail.com/a.png", "5x3", "Maze", [
+      { elementId: spawnResponse.data.id, x: 0, y: 0 },
+      { elementId: wallId, x: 2, y: 0 },
+      { elementId: wallId, x: 2, y: 1 },
+    ]);
+    mazeSpaceId = (await createSpace(user.token, "Maze", "5x3", mapResponse.data.id)).data.spaceId;
+    openSpaceId = (await createSpace(user.token, "Open", "100x200")).data.spaceId;
+  });
+
+  test("walk-to streams a shortest path around the wall", async () => {
+    const userMessages = [];
+    const adminMessages = [];
+    const walker = await joinSpace(userMessages, mazeSpaceId, user.token);
+    const watcher = await joinSpace(adminMessages, mazeSpaceId, admin.token);
+
+    sendMessage(walker.ws, "walk-to", { x: 4, y: 0 });
+
+    const path = await waitForMessageOfType(userMessages, "path");
+    expect(path.payload.steps.length).toBe(8);
+    expect(path.payload.steps.some((s) => s.x === 2 && s.y < 2)).toBe(false);
+    expect(path.payload.steps[path.payload.steps.length - 1]).toEqual({ x: 4, y: 0 });
+
+    const movements = [];
+    for (let i = 0; i < path.payload.steps.length; i++) {
+      const movement = await waitForMovement(adminMessages, user.userId);
+      movements.push({ x: movement.x, y: movement.y });
+    }
+    expect(movements).toEqual(path.payload.steps);
+
+    const completed = await waitForMessageOfType(userMessages, "walk-completed");
+    expect(completed.payload).toEqual({ x: 4, y: 0 });
+
+    walker.ws.close();
+    watcher.ws.close();
+  });
+
+  test("walk-to an unreachable or blocked tile is rejected", async () => {
+    const messages = [];
+    const walker = await joinSpace(messages, mazeSpaceId, user.token);
+
+    sendMessage(walker.ws, "walk-to", { x: 2, y: 0 });
+    const message = await waitForMessageOfType(messages, "walk-rejected");
+    expect(message.payload.reason).toBe("unreachable");
+
+    sendMessage(walker.ws, "walk-to", { x: 50, y: 50 });
+    const outside = await waitForMessageOfType(messages, "walk-rejected");
+    expect(outside.payload.reason).toBe("out-of-bounds");
+
+    walker.ws.close();
+  });
+
+  test("A manual move cancels an in-progress walk", async () => {
+    const messages = [];
+    const walker = await joinSpace(messages, openSpaceId, user.token);
+    const { x, y } = walker.joined.payload.spawn;
+    const targetX = x < 50 ? x + 40 : x - 40;
+
+    sendMessage(walker.ws, "walk-to", { x: targetX, y });
+    await waitForMessageOfType(messages, "path");
+    sendMessage(walker.ws, "move", { x, y: y > 0 ? y - 1 : y + 1 });
+
+    const cancelled = await waitForMessageOfType(messages, "walk-cancelled");
+    expect(cancelled.payload.reason).toBe("manual-move");
+    walker.ws.close();
+  });
+
+  test("Follow mode keeps one user trailing another until cancelled", async () => {
+    const userMessages = [];
+    const adminMessages = [];
+    const leader = await joinSpace(userMessages, openSpaceId, user.token);
+    const follower = await joinSpace(adminMessages, openSpaceId, admin.token);
+
+    sendMessage(follower.ws, "follow", { userId: user.userId });
+    const following = await waitForMessageOfType(adminMessages, "following");
+    expect(following.payload.userId).toBe(user.userId);
+
+    const { x, y } = leader.joined.payload.spawn;
+    const targetX = x < 50 ? x + 5 : x - 5;
+    sendMessage(leader.ws, "walk-to", { x: targetX, y });
+
+    // The follower ends up next to the leader's destination.
+    let followerPosition;
+    do {
+      followerPosition = await waitForMovement(userMessages, admin.userId);
+    } while (Math.abs(followerPosition.x - targetX) + Math.abs(followerPosition.y - y) > 1);
+
+    sendMessage(follower.ws, "move", { x: followerPosition.x, y: followerPosition.y > 0 ? followerPosition.y - 1 : followerPosition.y + 1 });
+    const stopped = await waitForMessageOfType(adminMessages, "follow-stopped");
+    expect(stopped.payload.reason).toBe("manual-move");
+
+    leader.ws.close();
+    follower.ws.close();
+  }, 20000);
+
+  test("Following a user who is not in the space is rejected", async () => {
+    const messages = [];
+    const follower = await joinSpace(messages, openSpaceId, admin.token);
+
+    sendMessage(follower.ws, "follow", { userId: "randomIdDoesntExist" });
+    const message = await waitForMessageOfType(messages, "follow-rejected");
+    expect(message.payload.userId).toBe("randomIdDoesntExist");
+    follower.ws.close();
+  });
+});
+
+describe("Tick loop and batched state deltas", () => {
+  // Stays under the move token bucket from the rate limiting tests.
+  const BURST_MOVES = 8;
+
+  let admin;
+  let user;
+  let spaceId;
+
+  // Opens a socket that can decode MessagePack frames and joins with the given encoding.
+  const joinWithEncoding = async (messages, token, encoding) => {
+    const ws = await connectSocket(messages, WS_URL, { binary: true });
+    sendMessage(ws, "join", { spaceId, token, encoding });
+    const joined = await waitForMessageOfType(messages, "space-joined");
+    return { ws, joined };
+  };
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    user = await signupAndLogin("srai-user", "user");
+    spaceId = (await createSpace(user.token, "Busy", "100x200")).data.spaceId;
+  });
+
+  test("Late joiners get a full snapshot tagged with the current tick", async () => {
+    const adminMessages = [];
+    const userMessages = [];
+    const first = await joinSpace(adminMessages, spaceId, admin.token);
+    const late = await joinSpace(userMessages, spaceId, user.token);
+
+    expect(late.joined.payload.tick).toBeGreaterThanOrEqual(first.joined.payload.tick);
+    const listed = late.joined.payload.users.find((x) => x.userId === admin.userId);
+    expect(listed.x).toBe(first.joined.payload.spawn.x);
+    expect(listed.y).toBe(first.joined.payload.spawn.y);
+
+    first.ws.close();
+    late.ws.close();
+  });
+
+  test("A burst of moves is collapsed into fewer deltas, one position per user each", async () => {
+    const adminMessages = [];
+    const userMessages = [];
+    const watcher = await joinSpace(adminMessages, spaceId, admin.token);
+    const mover = await joinSpace(userMessages, spaceId, user.token);
+    const { x, y } = mover.joined.payload.spawn;
+    const step = x < 50 ? 1 : -1;
+    const finalX = x + BURST_MOVES * step;
+
+    for (let i = 1; i <= BURST_MOVES; i++) {
+      sendMessage(mover.ws, "move", { x: x + i * step, y });
+    }
+
+    const deltas = [];
+    let moved;
+    do {
+      const delta = await waitForMessageOfType(adminMessages, "state-delta");
+      moved = delta.payload.moved.filter((m) => m.userId === user.userId);
+      expect(moved.length).toBeLessThanOrEqual(1);
+      if (moved.length) {
+        expect(delta.payload.tick).toBeGreaterThan(mover.joined.payload.tick);
+        deltas.push(delta);
+      }
+    } while (moved[0]?.x !== finalX);
+    expect(moved[0]).toMatchObject({ x: finalX, y });
+    expect(deltas.length).toBeLessThan(BURST_MOVES);
+    expect(adminMessages.some((m) => m.type === "movement")).toBe(false);
+
+    watcher.ws.close();
+    mover.ws.close();
+  });
+
+  test("Clients can negotiate MessagePack encoding at join", async () => {
+    const adminMessages = [];
+    const userMessages = [];
+    const watcher = await joinWithEncoding(adminMessages, admin.token, "msgpack");
+    const mover = await joinWithEncoding(userMessages, user.token);
+
+    expect(watcher.joined.binary).toBe(true);
+    expect(mover.joined.binary).toBeUndefined();
+
+    const { x, y } = mover.joined.payload.spawn;
+    sendMessage(mover.ws, "move", { x: x > 0 ? x - 1 : x + 1, y });
+
+    const delta = await waitForMessageOfType(adminMessages, "state-delta");
+    expect(delta.binary).toBe(true);
+
+    watcher.ws.close();
+    mover.ws.close();
+  });
+
+  test("Unknown encodings are rejected at join", async () => {
+    const messages = [];
+    const ws = await connectSocket(messages);
+    sendMessage(ws, "join", { spaceId, token: user.token, encoding: "xml" });
+
+    const message = await waitForMessage(messages);
+    expect(message.type).toBe("join-rejected");
+    expect(message.payload.reason).toBe("unsupported-encoding");
+    ws.close();
+  });
+});
+
+describe("Area-of-interest filtering", () => {
+  const VIEW_RADIUS = 5;
+  // Far enough east to be out of view of the spawn tile, close enough to walk quickly.
+  const OUT_OF_VIEW_X = VIEW_RADIUS + 3;
+  // Walks are streamed one tile per server tick.
+  const WALK_TIMEOUT_MS = 20000;
+
+  let admin;
+  let user;
+  let other;
+  let spaceId;
+  let adminWs;
+  let userWs;
+  let adminMessages = [];
+  let userMessages = [];
+
+  const joinWithViewport = async (messages, token) => {
+    const ws = await connectSocket(messages);
+    sendMessage(ws, "join", { spaceId, token, viewport: { radius: VIEW_RADIUS } });
+    const joined = await waitForMessageOfType(messages, "space-joined");
+    return { ws, joined };
+  };
+
+  // Walks along the corridor and waits for the server's walk-completed for it.
+  const walkTo = async (ws, messages, x) => {
+    sendMessage(ws, "walk-to", { x, y: 0 });
+    await waitForMessageOfType(messages, "path");
+    return waitForMessageOfType(messages, "walk-completed");
+  };
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    user = await signupAndLogin("srai-user", "user");
+    other = await signupAndLogin("srai-other", "user");
+
+    const spawnResponse = await createKindElement(admin.token, "spawn", false);
+    // Everyone spawns at the west end of a 40x1 corridor.
+    const mapResponse = await createMap(admin.token, "https://thumbnail.com/a.png", "40x1", "Corridor", [
+      { elementId: spawnResponse.data.id, x: 0, y: 0 },
+    ]);
+    spaceId = (await createSpace(user.token, "Conference", "40x1", mapResponse.data.id)).data.spaceId;
+
+    ({ ws: adminWs } = await joinWithViewport(adminMessages, admin.token));
+    ({ ws: userWs } = await joinWithViewport(userMessages, user.token));
+    await waitForMessageOfType(adminMessages, "user-joined");
+  });
+
+  afterAll(() => {
+    adminWs.close();
+    userWs.close();
+  });
+
+  test("A user walking out of the viewport triggers leave-view and stops sending movements", async () => {
+    const completed = await walkTo(userWs, userMessages, OUT_OF_VIEW_X);
+    expect(completed.payload).toEqual({ x: OUT_OF_VIEW_X, y: 0 });
+
+    const seen = [];
+    let message;
+    do {
+      message = await waitForMessage(adminMessages);
+      seen.push(message);
+    } while (message.type !== "leave-view");
+    expect(message.payload.userId).toBe(user.userId);
+
+    const movedUser = (m) => m.type === "state-delta" && m.payload.moved.some((x) => x.userId === user.userId);
+    const lastDelta = seen.filter(movedUser).pop();
+    expect(lastDelta.payload.moved.find((x) => x.userId === user.userId).x).toBeLessThanOrEqual(VIEW_RADIUS);
+    // The rest of the walk is filtered out for the admin.
+    expect(adminMessages.filter(movedUser).length).toBe(0);
+  }, WALK_TIMEOUT_MS);
+
+  test("Users outside the viewport are left out of space-joined and user-joined", async () => {
+    const otherMessages = [];
+    const { ws, joined } = await joinWithViewport(otherMessages, other.token);
+
+    const listed = joined.payload.users.map((x) => x.userId);
+    expect(listed).toContain(admin.userId);
+    expect(listed).not.toContain(user.userId);
+
+    // A space-wide chat acts as a fence: nothing about the join may precede it.
+    sendMessage(ws, "chat", { text: "hi all", scope: "space" });
+    const fence = await waitForMessageOfType(userMessages, "chat");
+    expect(fence.payload.text).toBe("hi all");
+    expect(userMessages.some((m) => m.type === "user-joined")).toBe(false);
+
+    ws.close();
+  });
+
+  test("A user walking back into the viewport triggers enter-view with their position", async () => {
+    await walkTo(userWs, userMessages, 2);
+
+    const message = await waitForMessageOfType(adminMessages, "enter-view");
+    expect(message.payload.userId).toBe(user.userId);
+    expect(message.payload.x).toBe(VIEW_RADIUS);
+    expect(message.payload.y).toBe(0);
+
+    await waitForMovement(adminMessages, user.userId);
+  }, WALK_TIMEOUT_MS);
+
+  test("Viewport radius is validated at join", async () => {
+    const messages = [];
+    const ws = await connectSocket(messages);
+    sendMessage(ws, "join", { spaceId, token: other.token, viewport: { radius: -1 } });
+
+    const message = await waitForMessage(messages);
+    expect(message.type).toBe("error");
+    expect(message.payload.code).toBe("invalid-payload");
+    ws.close();
+  });
+});
+
+describe("Zones", () => {
+  let admin;
+  let owner;
+  let spaceId;
+  let meetingZoneId;
+  let privateZoneId;
+  let ownerWs;
+  let adminWs;
+  let ownerMessages = [];
+  let adminMessages = [];
+
+  const createZone = async (token, body, id = spaceId) =>
+    axios.post(`${BASE_URL}/space/${id}/zones`, body, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+  const walk = (ws, xs) => xs.forEach((x) => sendMessage(ws, "move", { x, y: 0 }));
+
+  // Creates an owner's corridor of the given width where everyone spawns at x=0.
+  const createCorridor = async (name, width) => {
+    const spawnId = (await createKindElement(admin.token, "spawn", false)).data.id;
+    const mapResponse = await createMap(admin.token, "https://thumbnail.com/a.png", `${width}x1`, name, [
+      { elementId: spawnId, x: 0, y: 0 },
+    ]);
+    return (await createSpace(owner.token, name, `${width}x1`, mapResponse.data.id)).data.spaceId;
+  };
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    owner = await signupAndLogin("srai-owner", "user");
+
+    // 10x1 corridor: spawn at x=0, a meeting room at x=2..3 and a private room at x=6..7.
+    spaceId = await createCorridor("Offices", 10);
+  });
+
+  afterAll(() => {
+    ownerWs?.close();
+    adminWs?.close();
+  });
+
+  test("Owners can define rectangular and polygon zones", async () => {
+    const meetingResponse = await createZone(owner.token, {
+      name: "Meeting Room 2",
+      shape: { type: "rect", x: 2, y: 0, width: 2, height: 1 },
+      maxOccupancy: 1,
+      muteProximityAudio: false,
+      broadcastToZone: true,
+    });
+    expect(meetingResponse.status).toBe(200);
+    meetingZoneId = meetingResponse.data.zoneId;
+
+    const privateResponse = await createZone(owner.token, {
+      name: "Private office",
+      shape: { type: "polygon", points: [{ x: 6, y: 0 }, { x: 8, y: 0 }, { x: 8, y: 1 }, { x: 6, y: 1 }] },
+      allowedRoles: ["owner", "editor"],
+      muteProximityAudio: true,
+    });
+    expect(privateResponse.status).toBe(200);
+    privateZoneId = privateResponse.data.zoneId;
+
+    const listResponse = await axios.get(`${BASE_URL}/space/${spaceId}/zones`, {
+      headers: { Authorization: `Bearer ${admin.token}` },
+    });
+    const names = listResponse.data.zones.map((z) => z.name).sort();
+    expect(names).toEqual(["Meeting Room 2", "Private office"]);
+  });
+
+  test("Zone definitions are validated and restricted to editors", async () => {
+    const outsideResponse = await createZone(owner.token, {
+      name: "Nowhere",
+      shape: { type: "rect", x: 9, y: 0, width: 5, height: 1 },
+    });
+    const polygonResponse = await createZone(owner.token, {
+      name: "Line",
+      shape: { type: "polygon", points: [{ x: 0, y: 0 }, { x: 1, y: 0 }] },
+    });
+    const strangerResponse = await createZone(admin.token, {
+      name: "Mine now",
+      shape: { type: "rect", x: 0, y: 0, width: 1, height: 1 },
+    });
+    expect(outsideResponse.status).toBe(400);
+    expect(polygonResponse.status).toBe(400);
+    expect(strangerResponse.status).toBe(403);
+  });
+
+  test("Entering a zone emits zone-entered", async () => {
+    ownerWs = await connectSocket(ownerMessages);
+    sendMessage(ownerWs, "join", { spaceId, token: owner.token });
+    await waitForMessageOfType(ownerMessages, "space-joined");
+
+    walk(ownerWs, [1, 2]);
+    const entered = await waitForMessageOfType(ownerMessages, "zone-entered");
+    expect(entered.payload.zoneId).toBe(meetingZoneId);
+    expect(entered.payload.name).toBe("Meeting Room 2");
+  });
+
+  test("A full zone rejects entry with a reason, and leaving emits zone-left", async () => {
+    adminWs = await connectSocket(adminMessages);
+    sendMessage(adminWs, "join", { spaceId, token: admin.token });
+    await waitForMessageOfType(adminMessages, "space-joined");
+
+    walk(adminWs, [1, 2]);
+    const rejected = await waitForMessageOfType(adminMessages, "movement-rejected");
+    expect(rejected.payload.reason).toBe("zone-full");
+    expect(rejected.payload.zoneId).toBe(meetingZoneId);
+    expect(rejected.payload.x).toBe(1);
+
+    walk(ownerWs, [3, 4]);
+    const left = await waitForMessageOfType(ownerMessages, "zone-left");
+    expect(left.payload.zoneId).toBe(meetingZoneId);
+  });
+
+  test("A zone limited to certain roles rejects everyone else", async () => {
+    walk(adminWs, [2, 3, 4, 5, 6]);
+    const rejected = await waitForMessageOfType(adminMessages, "movement-rejected");
+    expect(rejected.payload.reason).toBe("zone-restricted");
+    expect(rejected.payload.zoneId).toBe(privateZoneId);
+    expect(rejected.payload.x).toBe(5);
+
+    walk(ownerWs, [5, 6]);
+    const entered = await waitForMessageOfType(ownerMessages, "zone-entered");
+    expect(entered.payload.zoneId).toBe(privateZoneId);
+  });
+
+  test("Zones can be deleted by the owner", async () => {
+    const response = await axios.delete(`${BASE_URL}/space/${spaceId}/zones/${privateZoneId}`, {
+      headers: { Authorization: `Bearer ${owner.token}` },
+    });
+    expect(response.status).toBe(200);
+
+    walk(adminWs, [6]);
+    let movement;
+    do {
+      movement = await waitForMovement(ownerMessages, admin.userId);
+    } while (movement.x !== 6);
+  });
+
+  test("Proximity media signaling is suppressed inside a muted zone", async () => {
+    const libraryId = await createCorridor("Library", 6);
+    const zoneResponse = await createZone(owner.token, {
+      name: "Library",
+      shape: { type: "rect", x: 0, y: 0, width: 6, height: 1 },
+      muteProximityAudio: true,
+    }, libraryId);
+
+    const ownerLibraryMessages = [];
+    const adminLibraryMessages = [];
+    const ownerLibrary = await joinSpace(ownerLibraryMessages, libraryId, owner.token);
+    const adminLibrary = await joinSpace(adminLibraryMessages, libraryId, admin.token);
+
+    sendMessage(ownerLibrary.ws, "rtc-offer", { targetUserId: admin.userId, sdp: "offer-sdp" });
+    const rejected = await waitForMessageOfType(ownerLibraryMessages, "signal-rejected");
+    expect(rejected.payload.reason).toBe("zone-muted");
+    expect(rejected.payload.zoneId).toBe(zoneResponse.data.zoneId);
+    expect(adminLibraryMessages.some((m) => m.type === "rtc-offer")).toBe(false);
+
+    ownerLibrary.ws.close();
+    adminLibrary.ws.close();
+  });
+
+  test("Proximity chat reaches the whole zone when broadcastToZone is set", async () => {
+    // Town hall spans the east end of the corridor; x=0..9 stays outside it.
+    const townHallId = await createCorridor("Town hall", 40);
+    const zoneResponse = await createZone(owner.token, {
+      name: "Town hall",
+      shape: { type: "rect", x: 10, y: 0, width: 30, height: 1 },
+      broadcastToZone: true,
+    }, townHallId);
+    const zoneId = zoneResponse.data.zoneId;
+
+    const ownerHallMessages = [];
+    const adminHallMessages = [];
+    const ownerHall = await joinSpace(ownerHallMessages, townHallId, owner.token);
+    const adminHall = await joinSpace(adminHallMessages, townHallId, admin.token);
+
+    // Both walk into the zone, well outside each other's proximity radius.
+    sendMessage(ownerHall.ws, "walk-to", { x: 10, y: 0 });
+    await waitForMessageOfType(ownerHallMessages, "zone-entered");
+    sendMessage(adminHall.ws, "walk-to", { x: 39, y: 0 });
+    await waitForMessageOfType(adminHallMessages, "walk-completed");
+
+    sendMessage(ownerHall.ws, "chat", { text: "welcome to the town hall", scope: "proximity" });
+    const message = await waitForMessageOfType(adminHallMessages, "chat");
+    expect(message.payload.text).toBe("welcome to the town hall");
+    expect(message.payload.scope).toBe("zone");
+    expect(message.payload.zoneId).toBe(zoneId);
+
+    ownerHall.ws.close();
+    adminHall.ws.close();
+  }, 20000);
+});
+
+describe("Moderation", () => {
+  let admin;
+  let user;
+  let spaceId;
+
+  const moderate = async (token, action, body) =>
+    axios.post(`${BASE_URL}/admin/moderation/${action}`, body, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+  const socketClosed = (ws) =>
+    new Promise((resolve) => {
+      ws.onclose = resolve;
+    });
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    spaceId = (await createSpace(admin.token, "Moderated", "100x200")).data.spaceId;
+  });
+
+  beforeEach(async () => {
+    user = await signupAndLogin("srai-user", "user");
+  });
+
+  test("Users cannot use moderation endpoints", async () => {
+    const other = await signupAndLogin("srai-other", "user");
+    const kickResponse = await moderate(user.token, "kick", { spaceId, userId: other.userId });
+    const banResponse = await moderate(user.token, "ban", { userId: other.userId });
+    const muteResponse = await moderate(user.token, "mute", { spaceId, userId: other.userId, scope: "chat" });
+    expect(kickResponse.status).toBe(403);
+    expect(banResponse.status).toBe(403);
+    expect(muteResponse.status).toBe(403);
+  });
+
+  test("Kicking removes a user from the space", async () => {
+    const adminMessages = [];
+    const userMessages = [];
+    const adminSocket = await joinSpace(adminMessages, spaceId, admin.token);
+    const userSocket = await joinSpace(userMessages, spaceId, user.token);
+    const closed = socketClosed(userSocket.ws);
+
+    const response = await moderate(admin.token, "kick", { spaceId, userId: user.userId, reason: "spamming" });
+    expect(response.status).toBe(200);
+
+    const kicked = await waitForMessageOfType(userMessages, "kicked");
+    expect(kicked.payload.spaceId).toBe(spaceId);
+    expect(kicked.payload.reason).toBe("spamming");
+    await closed;
+
+    // Kicked sessions cannot be resumed, so peers hear about it without the grace period.
+    const left = await waitForMessageOfType(adminMessages, "user-left");
+    expect(left.payload.userId).toBe(user.userId);
+    adminSocket.ws.close();
+  });
+
+  test("Admins in the space can kick over the socket", async () => {
+    const adminMessages = [];
+    const userMessages = [];
+    const adminSocket = await joinSpace(adminMessages, spaceId, admin.token);
+    const userSocket = await joinSpace(userMessages, spaceId, user.token);
+    const closed = socketClosed(userSocket.ws);
+
+    sendMessage(adminSocket.ws, "admin-kick", { userId: user.userId, reason: "afk" });
+    const kicked = await waitForMessageOfType(userMessages, "kicked");
+    expect(kicked.payload.reason).toBe("afk");
+    await closed;
+    adminSocket.ws.close();
+  });
+
+  test("Users cannot send admin socket messages", async () => {
+    const other = await signupAndLogin("srai-other", "user");
+    const otherMessages = [];
+    const userMessages = [];
+    const otherSocket = await joinSpace(otherMessages, spaceId, other.token);
+    const userSocket = await joinSpace(userMessages, spaceId, user.token);
+
+    sendMessage(userSocket.ws, "admin-kick", { userId: other.userId });
+    const error = await waitForMessageOfType(userMessages, "error");
+    expect(error.payload.code).toBe("forbidden");
+    otherSocket.ws.close();
+    userSocket.ws.close();
+  });
+
+  test("Space bans are enforced on live sockets and at join", async () => {
+    const userMessages = [];
+    const userSocket = await joinSpace(userMessages, spaceId, user.token);
+    const closed = socketClosed(userSocket.ws);
+
+    const response = await moderate(admin.token, "ban", { spaceId, userId: user.userId, reason: "harassment" });
+    expect(response.status).toBe(200);
+    expect(response.data.banId).toBeDefined();
+
+    const banned = await waitForMessageOfType(userMessages, "banned");
+    expect(banned.payload.spaceId).toBe(spaceId);
+    await closed;
+
+    const retryMessages = [];
+    const retryWs = await connectSocket(retryMessages);
+    sendMessage(retryWs, "join", { spaceId, token: user.token });
+    const retry = await waitForMessage(retryMessages);
+    expect(retry.type).toBe("join-rejected");
+    expect(retry.payload.reason).toBe("banned");
+    retryWs.close();
+
+    // Space bans do not stop the user from signing in or using other spaces.
+    const signin = await loginUser(user.username, defaultPassword);
+    expect(signin.status).toBe(200);
+  });
+
+  test("Global bans are enforced at signin until they expire", async () => {
+    const response = await moderate(admin.token, "ban", { userId: user.userId, expiresIn: 1, reason: "cool off" });
+    expect(response.status).toBe(200);
+
+    const signin = await loginUser(user.username, defaultPassword);
+    expect(signin.status).toBe(403);
+    expect(signin.data.bannedUntil).toBeDefined();
+
+    await new Promise((r) => setTimeout(r, 1500));
+    const later = await loginUser(user.username, defaultPassword);
+    expect(later.status).toBe(200);
+  });
+
+  test("Global bans close sockets that already joined a space", async () => {
+    const userMessages = [];
+    const userSocket = await joinSpace(userMessages, spaceId, user.token);
+    const closed = socketClosed(userSocket.ws);
+
+    const response = await moderate(admin.token, "ban", { userId: user.userId, reason: "raiding" });
+    expect(response.status).toBe(200);
+
+    const banned = await waitForMessageOfType(userMessages, "banned");
+    expect(banned.payload.reason).toBe("raiding");
+    await closed;
+  });
+
+  test("Tokens issued before a global ban cannot join a space", async () => {
+    await moderate(admin.token, "ban", { userId: user.userId, reason: "raiding" });
+
+    const messages = [];
+    const ws = await connectSocket(messages);
+    sendMessage(ws, "join", { spaceId, token: user.token });
+    const message = await waitForMessage(messages);
+    expect(message.type).toBe("join-rejected");
+    expect(message.payload.reason).toBe("banned");
+    ws.close();
+  });
+
+  test("Bans can be lifted", async () => {
+    const ban = await moderate(admin.token, "ban", { userId: user.userId, reason: "mistake" });
+    const response = await axios.delete(`${BASE_URL}/admin/moderation/ban/${ban.data.banId}`, {
+      headers: { Authorization: `Bearer ${admin.token}` },
+    });
+    expect(response.status).toBe(200);
+
+    const signin = await loginUser(user.username, defaultPassword);
+    expect(signin.status).toBe(200);
+  });
+
+  test("Muted users cannot chat or signal", async () => {
+    // Both users fill a 2x1 booth, so they are always within proximity range.
+    const boothId = (await createSpace(admin.token, "Booth", "2x1")).data.spaceId;
+    const other = await signupAndLogin("srai-other", "user");
+    const otherMessages = [];
+    const userMessages = [];
+    const otherSocket = await joinSpace(otherMessages, boothId, other.token);
+    const userSocket = await joinSpace(userMessages, boothId, user.token);
+
+    await moderate(admin.token, "mute", { spaceId: boothId, userId: user.userId, scope: "chat", expiresIn: 60 });
+    sendMessage(userSocket.ws, "chat", { text: "can you hear me?", scope: "space" });
+    const chatRejected = await waitForMessageOfType(userMessages, "chat-rejected");
+    expect(chatRejected.payload.reason).toBe("muted");
+
+    await moderate(admin.token, "mute", { spaceId: boothId, userId: user.userId, scope: "media", expiresIn: 60 });
+    sendMessage(userSocket.ws, "rtc-offer", { targetUserId: other.userId, sdp: "offer-sdp" });
+    const signalRejected = await waitForMessageOfType(userMessages, "signal-rejected");
+    expect(signalRejected.payload.reason).toBe("muted");
+
+    otherSocket.ws.close();
+    userSocket.ws.close();
+  });
+
+  test("Users can file a report that captures recent context", async () => {
+    const other = await signupAndLogin("srai-other", "user");
+    const otherMessages = [];
+    const userMessages = [];
+    const otherSocket = await joinSpace(otherMessages, spaceId, other.token);
+    const userSocket = await joinSpace(userMessages, spaceId, user.token);
+
+    sendMessage(otherSocket.ws, "chat", { text: "something rude", scope: "space" });
+    await waitForMessageOfType(userMessages, "chat");
+
+    sendMessage(userSocket.ws, "report", { userId: other.userId, reason: "rude language" });
+    const filed = await waitForMessageOfType(userMessages, "report-filed");
+    expect(filed.payload.reportId).toBeDefined();
+
+    const reports = await axios.get(`${BASE_URL}/admin/moderation/reports`, {
+      params: { userId: other.userId },
+      headers: { Authorization: `Bearer ${admin.token}` },
+    });
+    const report = reports.data.reports.find((r) => r.id === filed.payload.reportId);
+    expect(report.reporterId).toBe(user.userId);
+    expect(report.spaceId).toBe(spaceId);
+    expect(report.context.map((m) => m.text)).toContain("something rude");
+
+    otherSocket.ws.close();
+    userSocket.ws.close();
+  });
+});
+
+describe("Admin update and delete", () => {
+  let admin;
+  let user;
+
+  const adminRequest = async (method, path, data, params) =>
+    axios({
+      method,
+      url: `${BASE_URL}/admin/${path}`,
+      data,
+      params,
+      headers: { Authorization: `Bearer ${admin.token}` },
+    });
+
+  // Pages through the element listing, newest first, until the element turns up.
+  const findElement = async (elementId) => {
+    let element;
+    let cursor;
+    do {
+      const response = await adminRequest("get", "element", undefined, { sort: "createdAt:desc", cursor });
+      element = response.data.elements.find((x) => x.id === elementId);
+      cursor = response.data.nextCursor;
+    } while (!element && cursor);
+    return element;
+  };
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    user = await signupAndLogin("srai-user", "user");
+  });
+
+  test("Users cannot update or delete admin resources", async () => {
+    const elementId = (await createElement(admin.token, ELEMENT_IMAGE_URL, 1, 1, true)).data.id;
+    const headers = { Authorization: `Bearer ${user.token}` };
+
+    const updateResponse = await axios.put(`${BASE_URL}/admin/avatar/123`, { name: "Hacked" }, { headers });
+    const deleteResponse = await axios.delete(`${BASE_URL}/admin/element/${elementId}`, { headers });
+    expect(updateResponse.status).toBe(403);
+    expect(deleteResponse.status).toBe(403);
+  });
+
+  test("Admin can rename an avatar and change its image", async () => {
+    const avatarId = (await createAvatar(admin.token, AVATAR_IMAGE_URL, "Timmy")).data.avatarId;
+
+    const response = await adminRequest("put", `avatar/${avatarId}`, { name: "Tommy", imageUrl: ELEMENT_IMAGE_URL });
+    expect(response.status).toBe(200);
+
+    const avatars = await axios.get(`${BASE_URL}/avatars`, {
+      headers: { Authorization: `Bearer ${user.token}` },
+    });
+    const avatar = avatars.data.avatars.find((x) => x.id == avatarId);
+    expect(avatar.name).toBe("Tommy");
+    expect(avatar.imageUrl).toBe(ELEMENT_IMAGE_URL);
+  });
+
+  test("Deleting an avatar archives it and clears users who had it selected", async () => {
+    const avatarId = (await createAvatar(admin.token, AVATAR_IMAGE_URL, "Doomed")).data.avatarId;
+    await axios.post(
+      `${BASE_URL}/user/metadata`,
+      { avatarId },
+      { headers: { Authorization: `Bearer ${user.token}` } }
+    );
+
+    const response = await adminRequest("delete", `avatar/${avatarId}`);
+    expect(response.status).toBe(200);
+    expect(response.data.affectedUsers).toBe(1);
+
+    const avatars = await axios.get(`${BASE_URL}/avatars`, {
+      headers: { Authorization: `Bearer ${user.token}` },
+    });
+    expect(avatars.data.avatars.find((x) => x.id == avatarId)).toBeUndefined();
+
+    const bulk = await axios.get(`${BASE_URL}/user/metadata/bulk?ids=[${user.userId}]`, {
+      headers: { Authorization: `Bearer ${user.token}` },
+    });
+    expect(bulk.data.avatars[0].imageUrl).toBeUndefined();
+
+    const selectResponse = await axios.post(
+      `${BASE_URL}/user/metadata`,
+      { avatarId },
+      { headers: { Authorization: `Bearer ${user.token}` } }
+    );
+    expect(selectResponse.status).toBe(400);
+  });
+
+  test("Admin can update element size and static flag", async () => {
+    const elementId = (await createElement(admin.token, ELEMENT_IMAGE_URL, 1, 1, true)).data.id;
+
+    const response = await adminRequest("put", `element/${elementId}`, { width: 2, height: 3, static: false });
+    expect(response.status).toBe(200);
+
+    const element = await findElement(elementId);
+    expect(element.width).toBe(2);
+    expect(element.height).toBe(3);
+    expect(element.static).toBe(false);
+  });
+
+  test("Deleting a placed element reports dependents unless cascading", async () => {
+    const elementId = (await createElement(admin.token, ELEMENT_IMAGE_URL, 1, 1, true)).data.id;
+    const spaceId = (await createSpace(user.token, "Furnished", "100x200")).data.spaceId;
+    await addSpaceElement(user.token, spaceId, elementId, 5, 5);
+
+    const response = await adminRequest("delete", `element/${elementId}`);
+    expect(response.status).toBe(409);
+    expect(response.data.dependentSpaces).toEqual([spaceId]);
+
+    const cascadeResponse = await adminRequest("delete", `element/${elementId}?cascade=true`);
+    expect(cascadeResponse.status).toBe(200);
+
+    const space = await getSpace(user.token, spaceId);
+    expect(space.data.elements.length).toBe(0);
+
+    const placeResponse = await addSpaceElement(user.token, spaceId, elementId, 6, 6);
+    expect(placeResponse.status).toBe(400);
+  });
+
+  test("Admin can edit map dimensions and default elements", async () => {
+    const elementId = (await createElement(admin.token, ELEMENT_IMAGE_URL, 1, 1, true)).data.id;
+    const mapId = (await createMap(admin.token, "https://thumbnail.com/a.png", "100x200", "Editable", [
+      { elementId, x: 50, y: 50 },
+    ])).data.id;
+
+    const shrinkResponse = await adminRequest("put", `map/${mapId}`, { dimensions: "40x40" });
+    expect(shrinkResponse.status).toBe(400);
+
+    const response = await adminRequest("put", `map/${mapId}`, {
+      name: "Edited",
+      dimensions: "40x40",
+      defaultElements: [{ elementId, x: 10, y: 10 }],
+    });
+    expect(response.status).toBe(200);
+
+    const spaceId = (await createSpace(user.token, "From edited", "40x40", mapId)).data.spaceId;
+    const space = await getSpace(user.token, spaceId);
+    expect(space.data.dimensions).toBe("40x40");
+    expect(space.data.elements.map((e) => [e.x, e.y])).toEqual([[10, 10]]);
+  });
+
+  test("Deleting a map archives it without breaking spaces built from it", async () => {
+    const mapId = (await createMap(admin.token, "https://thumbnail.com/a.png", "100x200", "Retired", [])).data.id;
+    const spaceId = (await createSpace(user.token, "Survivor", "100x200", mapId)).data.spaceId;
+
+    const response = await adminRequest("delete", `map/${mapId}`);
+    expect(response.status).toBe(200);
+    expect(response.data.dependentSpaces).toEqual([spaceId]);
+
+    const space = await getSpace(user.token, spaceId);
+    expect(space.status).toBe(200);
+
+    const createResponse = await createSpace(user.token, "Too late", "100x200", mapId);
+    expect(createResponse.status).toBe(400);
+  });
+
+  test("Updating or deleting a resource that doesn't exist returns a 400", async () => {
+    const updateResponse = await adminRequest("put", "map/randomIdDoesntExist", { name: "Ghost" });
+    const deleteResponse = await adminRequest("delete", "avatar/randomIdDoesntExist");
+    expect(updateResponse.status).toBe(400);
+    expect(deleteResponse.status).toBe(400);
+  });
+});
+
+describe("User profiles", () => {
+  let admin;
+  let user;
+  let avatarId;
+
+  const updateMetadata = async (token, body) =>
+    axios.post(`${BASE_URL}/user/metadata`, body, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+  const bulkMetadata = async (token, ids) =>
+    axios.get(`${BASE_URL}/user/metadata/bulk`, {
+      params: { ids: ids.join(",") },
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+  const profile = {
+    displayName: "Srai",
+    statusMessage: "Heads down until 3pm",
+    timezone: "Asia/Kolkata",
+    pronouns: "they/them",
+    links: [{ label: "GitHub", url: "https://github.com/srai86825" }],
+  };
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    user = await signupAndLogin("srai-user", "user");
+    avatarId = (await createAvatar(admin.token, AVATAR_IMAGE_URL, "Timmy")).data.avatarId;
+  });
+
+  test("Profile fields can be set alongside the avatar", async () => {
+    const response = await updateMetadata(user.token, { avatarId, ...profile });
+    expect(response.status).toBe(200);
+
+    const bulk = await bulkMetadata(user.token, [user.userId]);
+    const entry = bulk.data.avatars[0];
+    expect(entry.userId).toBe(user.userId);
+    expect(entry.imageUrl).toBe(AVATAR_IMAGE_URL);
+    expect(entry.displayName).toBe(profile.displayName);
+    expect(entry.statusMessage).toBe(profile.statusMessage);
+    expect(entry.timezone).toBe(profile.timezone);
+    expect(entry.pronouns).toBe(profile.pronouns);
+    expect(entry.links).toEqual(profile.links);
+  });
+
+  test("Profile fields can be updated without touching the avatar", async () => {
+    const response = await updateMetadata(user.token, { statusMessage: "Back" });
+    expect(response.status).toBe(200);
+
+    const bulk = await bulkMetadata(user.token, [user.userId]);
+    expect(bulk.data.avatars[0].statusMessage).toBe("Back");
+    expect(bulk.data.avatars[0].imageUrl).toBe(AVATAR_IMAGE_URL);
+  });
+
+  test("Profile fields are validated", async () => {
+    const invalidBodies = [
+      { displayName: "" },
+      { displayName: "x".repeat(51) },
+      { timezone: "Mars/Olympus_Mons" },
+      { statusMessage: "x".repeat(141) },
+      { links: [{ label: "Sketchy", url: "javascript:alert(1)" }] },
+      { links: Array.from({ length: 6 }, (_, i) => ({ label: `${i}`, url: "https://example.com" })) },
+    ];
+
+    for (const body of invalidBodies) {
+      const response = await updateMetadata(user.token, body);
+      expect(response.status).toBe(400);
+    }
+  });
+
+  test("Bulk lookup accepts comma-separated ids and the legacy bracket format", async () => {
+    const bulk = await bulkMetadata(user.token, [user.userId, admin.userId]);
+    expect(bulk.status).toBe(200);
+    expect(bulk.data.avatars.map((x) => x.userId).sort()).toEqual([user.userId, admin.userId].sort());
+
+    const legacy = await axios.get(`${BASE_URL}/user/metadata/bulk?ids=[${user.userId}]`, {
+      headers: { Authorization: `Bearer ${user.token}` },
+    });
+    expect(legacy.data.avatars[0].displayName).toBe(profile.displayName);
+  });
+
+  test("Bulk lookup caps the number of ids", async () => {
+    const ids = Array.from({ length: 101 }, (_, i) => `id${i}`);
+    const response = await bulkMetadata(user.token, ids);
+    expect(response.status).toBe(400);
+  });
+
+  test("space-joined includes profiles in the users list", async () => {
+    const spaceId = (await createSpace(admin.token, "Profiles", "100x200")).data.spaceId;
+    const userMessages = [];
+    const adminMessages = [];
+    const userWs = await connectSocket(userMessages);
+    sendMessage(userWs, "join", { spaceId, token: user.token });
+    await waitForMessageOfType(userMessages, "space-joined");
+
+    const adminWs = await connectSocket(adminMessages);
+    sendMessage(adminWs, "join", { spaceId, token: admin.token });
+    const joined = await waitForMessageOfType(adminMessages, "space-joined");
+
+    const listed = joined.payload.users.find((x) => x.userId === user.userId);
+    expect(listed.displayName).toBe(profile.displayName);
+    expect(listed.pronouns).toBe(profile.pronouns);
+    expect(listed.imageUrl).toBe(AVATAR_IMAGE_URL);
+
+    userWs.close();
+    adminWs.close();
+  });
+});
+
+describe("Presence", () => {
+  let owner;
+  let outsider;
+  let spaceId;
+  let privateSpaceId;
+
+  // Each test gets its own teammate so a previous test's socket, still inside
+  // its resume grace period, cannot show up as present.
+  const inviteTeammate = async () => {
+    const teammate = await signupAndLogin("srai-teammate", "user");
+    await axios.post(
+      `${BASE_URL}/space/${privateSpaceId}/invites`,
+      { username: teammate.username, role: "editor" },
+      { headers: { Authorization: `Bearer ${owner.token}` } }
+    );
+    return teammate;
+  };
+
+  beforeAll(async () => {
+    owner = await signupAndLogin("srai-owner", "user");
+    outsider = await signupAndLogin("srai-outsider", "user");
+
+    spaceId = (await createSpace(owner.token, "Open office", "100x200")).data.spaceId;
+    const privateResponse = await axios.post(
+      `${BASE_URL}/space`,
+      { name: "Team room", dimensions: "100x200", visibility: "private" },
+      { headers: { Authorization: `Bearer ${owner.token}` } }
+    );
+    privateSpaceId = privateResponse.data.spaceId;
+  });
+
+  test("Space listing includes occupancy", async () => {
+    const teammate = await inviteTeammate();
+    const { ws } = await joinSpace([], privateSpaceId, teammate.token);
+
+    const response = await axios.get(`${BASE_URL}/space/all`, {
+      headers: { Authorization: `Bearer ${owner.token}` },
+    });
+    const occupancy = Object.fromEntries(response.data.spaces.map((x) => [x.id, x.occupancy]));
+    expect(occupancy[privateSpaceId]).toBe(1);
+    expect(occupancy[spaceId]).toBe(0);
+
+    ws.close();
+  });
+
+  test("Space presence lists who is connected", async () => {
+    const teammate = await inviteTeammate();
+    const { ws } = await joinSpace([], spaceId, teammate.token);
+
+    const response = await axios.get(`${BASE_URL}/space/${spaceId}/presence`, {
+      headers: { Authorization: `Bearer ${owner.token}` },
+    });
+    expect(response.data.count).toBe(1);
+    expect(response.data.users[0].userId).toBe(teammate.userId);
+    expect(response.data.users[0].joinedAt).toBeDefined();
+
+    ws.close();
+  });
+
+  test("Presence of a private space is hidden from non-members", async () => {
+    const response = await axios.get(`${BASE_URL}/space/${privateSpaceId}/presence`, {
+      headers: { Authorization: `Bearer ${outsider.token}` },
+    });
+    expect(response.status).toBe(403);
+  });
+
+  test("Teammates online lists fellow members who are connected anywhere", async () => {
+    const teammate = await inviteTeammate();
+    const { ws } = await joinSpace([], spaceId, teammate.token);
+
+    const response = await axios.get(`${BASE_URL}/presence/teammates`, {
+      headers: { Authorization: `Bearer ${owner.token}` },
+    });
+    expect(response.data.users).toContainEqual({ userId: teammate.userId, spaceId });
+
+    const outsiderResponse = await axios.get(`${BASE_URL}/presence/teammates`, {
+      headers: { Authorization: `Bearer ${outsider.token}` },
+    });
+    expect(outsiderResponse.data.users).toEqual([]);
+
+    ws.close();
+  });
+
+  test("Presence subscriptions stream joins and leaves without spawning an avatar", async () => {
+    const teammate = await inviteTeammate();
+    const subscriberMessages = [];
+    const subscriber = await connectSocket(subscriberMessages);
+    sendMessage(subscriber, "subscribe-presence", { token: owner.token });
+    const subscribed = await waitForMessageOfType(subscriberMessages, "presence-subscribed");
+    expect(subscribed.payload.spaceIds).toEqual(expect.arrayContaining([spaceId, privateSpaceId]));
+
+    const { ws, joined } = await joinSpace([], privateSpaceId, teammate.token);
+    expect(joined.payload.users.map((x) => x.userId)).not.toContain(owner.userId);
+
+    let joinEvent;
+    do {
+      joinEvent = await waitForMessageOfType(subscriberMessages, "presence");
+    } while (joinEvent.payload.userId !== teammate.userId);
+    expect(joinEvent.payload).toEqual({ spaceId: privateSpaceId, userId: teammate.userId, event: "joined" });
+
+    // The leave event follows the same grace period as user-left.
+    ws.close();
+    let leaveEvent;
+    do {
+      leaveEvent = await waitForMessageOfType(subscriberMessages, "presence");
+    } while (leaveEvent.payload.userId !== teammate.userId);
+    expect(leaveEvent.payload).toEqual({ spaceId: privateSpaceId, userId: teammate.userId, event: "left" });
+
+    subscriber.close();
+  }, RESUME_GRACE_PERIOD_MS * 3);
+
+  test("Presence subscriptions skip spaces the caller cannot access", async () => {
+    const subscriberMessages = [];
+    const subscriber = await connectSocket(subscriberMessages);
+    sendMessage(subscriber, "subscribe-presence", { token: outsider.token, spaceIds: [privateSpaceId, spaceId] });
+    const subscribed = await waitForMessageOfType(subscriberMessages, "presence-subscribed");
+    expect(subscribed.payload.spaceIds).toEqual([spaceId]);
+
+    subscriber.close();
+  });
+});
+
+describe("Chat history and threads", () => {
+  let admin;
+  let user;
+  let spaceId;
+  let adminWs;
+  let userWs;
+  let adminMessages = [];
+  let userMessages = [];
+  let rootMessageId;
+
+  const listMessages = async (token, params) =>
+    axios.get(`${BASE_URL}/space/${spaceId}/messages`, {
+      params,
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+  // Sends a space-wide chat and returns it as echoed back to the room.
+  const postChat = async (ws, messages, payload) => {
+    sendMessage(ws, "chat", { scope: "space", ...payload });
+    let message;
+    do {
+      message = await waitForMessageOfType(messages, "chat");
+    } while (message.payload.text !== payload.text);
+    return message;
+  };
+
+  beforeAll(async () => {
+    admin = await signupAndLogin("srai-admin", "admin");
+    user = await signupAndLogin("srai-user", "user");
+    spaceId = (await createSpace(user.token, "Chatty", "100x200")).data.spaceId;
+
+    adminWs = await connectSocket(adminMessages);
+    sendMessage(adminWs, "join", { spaceId, token: admin.token });
+    await waitForMessageOfType(adminMessages, "space-joined");
+
+    userWs = await connectSocket(userMessages);
+    sendMessage(userWs, "join", { spaceId, token: user.token });
+    await waitForMessageOfType(userMessages, "space-joined");
+  });
+
+  afterAll(() => {
+    adminWs.close();
+    userWs.close();
+  });
+
+  test("Space chat is persisted and listed newest first", async () => {
+    const first = await postChat(adminWs, userMessages, { text: "first" });
+    expect(first.payload.id).toBeDefined();
+    expect(first.payload.createdAt).toBeDefined();
+    rootMessageId = first.payload.id;
+
+    await postChat(userWs, adminMessages, { text: "second" });
+    await postChat(adminWs, userMessages, { text: "third" });
+
+    const response = await listMessages(user.token, {});
+    expect(response.status).toBe(200);
+    expect(response.data.messages.map((m) => m.text)).toEqual(["third", "second", "first"]);
+    expect(response.data.messages[2].userId).toBe(admin.userId);
+  });
+
+  test("History is paginated and filterable by sender and time", async () => {
+    const firstPage = await listMessages(user.token, { limit: 2 });
+    expect(firstPage.data.messages.length).toBe(2);
+    const secondPage = await listMessages(user.token, { limit: 2, cursor: firstPage.data.nextCursor });
+    expect(secondPage.data.messages.map((m) => m.text)).toEqual(["first"]);
+    expect(secondPage.data.nextCursor).toBeNull();
+
+    const bySender = await listMessages(user.token, { senderId: admin.userId });
+    expect(bySender.data.messages.map((m) => m.text)).toEqual(["third", "first"]);
+
+    const all = await listMessages(user.token, {});
+    const since = all.data.messages.find((m) => m.text === "second").createdAt;
+    const sinceResponse = await listMessages(user.token, { since });
+    expect(sinceResponse.data.messages.map((m) => m.text)).toEqual(["third", "second"]);
+
+    const untilResponse = await listMessages(user.token, { until: since });
+    expect(untilResponse.data.messages.map((m) => m.text)).toEqual(["second", "first"]);
+  });
+
+  test("Replies thread onto a parent message", async () => {
+    const reply = await postChat(userWs, adminMessages, { text: "replying to first", parentId: rootMessageId });
+    expect(reply.payload.parentId).toBe(rootMessageId);
+
+    const thread = await listMessages(user.token, { parentId: rootMessageId });
+    expect(thread.data.messages.map((m) => m.text)).toEqual(["replying to first"]);
+
+    const all = await listMessages(user.token, {});
+    const root = all.data.messages.find((m) => m.id === rootMessageId);
+    expect(root.replyCount).toBe(1);
+
+    sendMessage(userWs, "chat", { text: "orphan", scope: "space", parentId: "randomIdDoesntExist" });
+    const rejected = await waitForMessageOfType(userMessages, "chat-rejected");
+    expect(rejected.payload.reason).toBe("unknown-parent");
+  });
+
+  test("Authors can edit their messages and the room is told", async () => {
+    sendMessage(adminWs, "chat-edit", { id: rootMessageId, text: "first (edited)" });
+    const edited = await waitForMessageOfType(userMessages, "chat-edited");
+    expect(edited.payload.id).toBe(rootMessageId);
+    expect(edited.payload.text).toBe("first (edited)");
+    expect(edited.payload.editedAt).toBeDefined();
+
+    sendMessage(userWs, "chat-edit", { id: rootMessageId, text: "not mine" });
+    const rejected = await waitForMessageOfType(userMessages, "chat-rejected");
+    expect(rejected.payload.reason).toBe("not-author");
+  });
+
+  test("Authors can delete their messages, leaving threads intact", async () => {
+    sendMessage(userWs, "chat-delete", { id: rootMessageId });
+    const rejected = await waitForMessageOfType(userMessages, "chat-rejected");
+    expect(rejected.payload.reason).toBe("not-author");
+
+    sendMessage(adminWs, "chat-delete", { id: rootMessageId });
+    const deleted = await waitForMessageOfType(userMessages, "chat-deleted");
+    expect(deleted.payload.id).toBe(rootMessageId);
+
+    const all = await listMessages(user.token, {});
+    const root = all.data.messages.find((m) => m.id === rootMessageId);
+    expect(root.deleted).toBe(true);
+    expect(root.text).toBeNull();
+
+    const thread = await listMessages(user.token, { parentId: rootMessageId });
+    expect(thread.data.messages.length).toBe(1);
+  });
+
+  test("space-joined delivers the most recent messages", async () => {
+    const late = await signupAndLogin("srai-late", "user");
+    const messages = [];
+    const ws = await connectSocket(messages);
+    sendMessage(ws, "join", { spaceId, token: late.token });
+    const joined = await waitForMessageOfType(messages, "space-joined");
+
+    const texts = joined.payload.recentMessages.map((m) => m.text);
+    expect(texts[0]).toBe("replying to first");
+    expect(texts).toContain("third");
+    ws.close();
+  });
+
+  test("History of a private space is hidden from non-members", async () => {
+    const privateResponse = await axios.post(
+      `${BASE_URL}/space`,
+      { name: "Secret", dimensions: "100x200", visibility: "private" },
+      { headers: { Authorization: `Bearer ${user.token}` } }
+    );
+
+    const response = await axios.get(`${BASE_URL}/space/${privateResponse.data.spaceId}/messages`, {
+      headers: { Authorization: `Bearer ${admin.token}` },
+    });
+    expect(response.status).toBe(403);
+  });
+});